@@ -1,16 +1,68 @@
+import { renderTaskCalendar } from "./calendar.js";
+import { createCommandRegistry } from "./commands.js";
 import {
   clearEditor,
   focusEditor,
   getEditorContent,
+  getHTMLFromText,
+  getTextFromHTML,
   initEditor,
   isEditorEmpty,
+  sanitizeEditorHTML,
 } from "./editor.js";
-import { createTask, renderTasks } from "./tasks.js";
+import { createHistory } from "./history.js";
+import { buildCalendar, parseCalendar } from "./ical.js";
+import { buildMarkdownChecklist, parseMarkdownChecklist } from "./markdown.js";
+import { MIGRATION_ERROR_CORRUPT, MIGRATION_ERROR_NEWER, migratePayload } from "./migrations.js";
+import {
+  createProject,
+  findProject,
+  findProjectByName,
+  sanitizeProject,
+  sanitizeProjectName,
+} from "./projects.js";
+import { registerServiceWorker } from "./pwa.js";
+import { parseQuickAdd } from "./quickadd.js";
+import { describeRecurrence, getNextDueDate, sanitizeRecurrence } from "./recurrence.js";
+import {
+  REMINDER_SNOOZE_MINUTES,
+  createReminders,
+  getDueMoment,
+  sanitizeDueTime,
+  sanitizeReminders,
+} from "./reminders.js";
+import { buildCompletedTasksCsv, getCompletedTaskRows } from "./reports.js";
+import { SYNC_SOURCE_TYPE, createServerSync } from "./serversync.js";
+import { createStorage } from "./storage.js";
+import { isSameWorkspace, mergeWorkspaces } from "./sync.js";
+import { createSubtask, createTask, isTaskOverdue, renderTasks } from "./tasks.js";
+import { buildTodoTxt, parseTodoTxt } from "./todotxt.js";
 
 const STORAGE_KEY = "taskdoit.state.v1";
-const STORAGE_VERSION = 2;
-const LEGACY_AUTO_TEMPLATE = "GENERAL";
+const STORAGE_VERSION = 3;
+const SYNC_SETTINGS_KEY = "taskdoit.sync.v1";
+const REMINDER_SETTINGS_KEY = "taskdoit.reminders.v1";
+const TASK_URL_PARAM = "task";
+const RESCHEDULE_OVERDUE_QUERY = "Reschedule all overdue";
+const TASK_SOURCE_TYPES = ["manual", SYNC_SOURCE_TYPE];
+const RECOVERY_REASON_PARTIAL = "partial";
+const RECOVERY_REASON_UNAVAILABLE = "unavailable";
+const RECOVERY_MESSAGES = {
+  [MIGRATION_ERROR_CORRUPT]: "Your saved tasks could not be read, so they were set aside instead of being overwritten.",
+  [MIGRATION_ERROR_NEWER]:
+    "Your saved tasks come from a newer version of TaskDoIt. Changes in this tab will not be saved, so reload once TaskDoIt has updated.",
+  [RECOVERY_REASON_PARTIAL]: "Some saved tasks could not be read. The rest loaded, and a full copy was set aside.",
+};
+// Stored data stays untouched for as long as the tab is open when it could not be opened or
+// comes from a newer version.
+const READ_ONLY_RECOVERY_REASONS = new Set([RECOVERY_REASON_UNAVAILABLE, MIGRATION_ERROR_NEWER]);
+const RECOVERY_REASON_LABELS = {
+  [MIGRATION_ERROR_CORRUPT]: "Unreadable",
+  [MIGRATION_ERROR_NEWER]: "Newer version",
+  [RECOVERY_REASON_PARTIAL]: "Partly readable",
+};
 const TEMPLATE_NAME_MAX_LENGTH = 32;
+const SUBTASK_TEXT_MAX_LENGTH = 200;
 const FILTER_MODE_ALL = "all";
 const FILTER_MODE_NONE = "none";
 const FILTER_VALUE_ALL = "__all__";
@@ -18,17 +70,97 @@ const FILTER_VALUE_NONE = "__none__";
 const FILTER_VALUE_TEMPLATE_PREFIX = "__tpl__:";
 const VIEW_MODE_TASKS = "tasks";
 const VIEW_MODE_COMPLETED = "completed";
+const VIEW_MODE_TODAY = "today";
+const VIEW_MODE_UPCOMING = "upcoming";
+const VIEW_MODE_OVERDUE = "overdue";
+const VIEW_MODE_CALENDAR = "calendar";
+const AGENDA_VIEW_MODES = [VIEW_MODE_TODAY, VIEW_MODE_UPCOMING, VIEW_MODE_OVERDUE];
+const AGENDA_VIEW_LABELS = {
+  [VIEW_MODE_TODAY]: "Today",
+  [VIEW_MODE_UPCOMING]: "Upcoming",
+  [VIEW_MODE_OVERDUE]: "Overdue",
+};
+const UPCOMING_DAYS = 14;
+const AGENDA_EMPTY_STATES = {
+  [VIEW_MODE_TODAY]: {
+    title: "Nothing due today",
+    copy: "Overdue tasks show up here too, so you are all caught up.",
+  },
+  [VIEW_MODE_UPCOMING]: {
+    title: `Nothing due in the next ${UPCOMING_DAYS} days`,
+    copy: "Tasks with a due date in that range are listed by day.",
+  },
+  [VIEW_MODE_OVERDUE]: {
+    title: "Nothing overdue",
+    copy: "Every task with a due date is still on schedule.",
+  },
+};
+const SORT_MODE_MANUAL = "manual";
+const SORT_MODE_PRIORITY = "priority";
+const TASK_PRIORITIES = [1, 2, 3, 4];
+const EXPORT_APP_ID = "taskdoit";
+const IMPORT_MODE_MERGE = "merge";
+const IMPORT_MODE_REPLACE = "replace";
+const IMPORT_FORMAT_JSON = "json";
+const IMPORT_FORMAT_ICS = "ics";
+const IMPORT_FORMAT_TODO_TXT = "todotxt";
+const IMPORT_FORMAT_MARKDOWN = "markdown";
+const TASK_DRAG_SCROLL_EDGE = 36;
+const TASK_DRAG_SCROLL_STEP = 12;
+// A calendar chip only starts dragging past this distance, so a plain click still opens the task.
+const CALENDAR_DRAG_THRESHOLD = 6;
+const CALENDAR_MOVE_KEYS = {
+  ArrowLeft: -1,
+  ArrowRight: 1,
+  ArrowUp: -7,
+  ArrowDown: 7,
+};
+const PROJECT_VIEW_ALL = "all";
+const PROJECT_VIEW_NONE = "none";
 const TASK_COMPLETE_ANIMATION_MS = 440;
+const TOAST_DURATION_MS = 5000;
+const TASK_NAVIGATION_KEYS = {
+  j: 1,
+  ArrowDown: 1,
+  k: -1,
+  ArrowUp: -1,
+};
+const KEYBOARD_SHORTCUTS = [
+  { keys: ["j", "↓"], description: "Focus the next task" },
+  { keys: ["k", "↑"], description: "Focus the previous task" },
+  { keys: ["x"], description: "Complete or reopen the focused task" },
+  { keys: ["s"], description: "Select the focused task for bulk actions" },
+  { keys: ["e", "Enter"], description: "Edit the focused task" },
+  { keys: ["d"], description: "Set the due date of the focused task" },
+  { keys: ["t"], description: "Set the template of the focused task" },
+  { keys: ["Backspace", "Delete"], description: "Delete the focused task" },
+  { keys: ["Alt+↑", "Alt+↓"], description: "Move the focused task" },
+  { keys: ["Alt+←", "Alt+→"], description: "Move the focused calendar task a day earlier or later" },
+  { keys: ["Ctrl+Z"], description: "Undo" },
+  { keys: ["Ctrl+Shift+Z"], description: "Redo" },
+  { keys: ["Ctrl+K"], description: "Search commands and tasks" },
+  { keys: ["Esc"], description: "Close a menu, cancel editing or clear the selection" },
+  { keys: ["?"], description: "Show these shortcuts" },
+];
 const ISO_DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
 const LOCAL_DATE_INPUT_PATTERN = /^(\d{1,2})\/(\d{1,2})\/(\d{2,4})$/;
 const DUE_DATE_MONTH_NAME_FORMATTER = new Intl.DateTimeFormat("en-GB", {
   month: "long",
 });
+const AGENDA_DATE_FORMATTER = new Intl.DateTimeFormat("en-GB", {
+  weekday: "long",
+  day: "numeric",
+  month: "long",
+});
 const DUE_DATE_MONTH_NAMES = Array.from({ length: 12 }, (_, monthIndex) =>
   DUE_DATE_MONTH_NAME_FORMATTER.format(new Date(2024, monthIndex, 1))
 );
 const DUE_DATE_YEAR_RANGE = 120;
 
+const storage = createStorage(STORAGE_KEY);
+const serverSync = createServerSync(SYNC_SETTINGS_KEY);
+const reminders = createReminders(REMINDER_SETTINGS_KEY);
+
 function sanitizeTemplateName(value) {
   if (typeof value !== "string") {
     return "";
@@ -89,6 +221,10 @@ function toIsoDateFromLocalDate(date) {
   return toIsoDate(date.getFullYear(), date.getMonth() + 1, date.getDate());
 }
 
+function addDays(date, days) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
 function parseIsoDate(isoDate) {
   if (typeof isoDate !== "string") {
     return null;
@@ -164,6 +300,46 @@ function formatDueDateInput(isoDate) {
   return `${String(date.getDate()).padStart(2, "0")}/${String(date.getMonth() + 1).padStart(2, "0")}/${date.getFullYear()}`;
 }
 
+function sanitizeSubtaskText(value) {
+  if (typeof value !== "string") {
+    return "";
+  }
+
+  return value.replace(/\s+/g, " ").trim().slice(0, SUBTASK_TEXT_MAX_LENGTH);
+}
+
+function sanitizeSubtasks(subtasks) {
+  if (!Array.isArray(subtasks)) {
+    return [];
+  }
+
+  const seenIds = new Set();
+  return subtasks.reduce((sanitized, subtask) => {
+    if (!subtask || typeof subtask !== "object" || typeof subtask.id !== "string") {
+      return sanitized;
+    }
+
+    const text = sanitizeSubtaskText(subtask.text);
+    if (!text || seenIds.has(subtask.id)) {
+      return sanitized;
+    }
+
+    seenIds.add(subtask.id);
+    const completed = subtask.completed === true;
+    sanitized.push({
+      id: subtask.id,
+      text,
+      completed,
+      completedAt: completed && typeof subtask.completedAt === "string" ? subtask.completedAt : null,
+    });
+    return sanitized;
+  }, []);
+}
+
+function sanitizePriority(value) {
+  return TASK_PRIORITIES.includes(value) ? value : null;
+}
+
 function sanitizeTask(task, templates, options = {}) {
   if (!task || typeof task !== "object") {
     return null;
@@ -173,34 +349,201 @@ function sanitizeTask(task, templates, options = {}) {
     return null;
   }
 
-  if (typeof task.contentHtml !== "string" || task.contentHtml.trim().length === 0) {
+  // Every stored and imported task passes through here before it is rendered with innerHTML.
+  const contentHtml =
+    typeof task.contentHtml === "string" ? sanitizeEditorHTML(task.contentHtml) : "";
+  if (contentHtml.length === 0) {
     return null;
   }
 
   let template =
     typeof task.template === "string" ? sanitizeTemplateName(task.template) : null;
-  if (template && options.stripLegacyGeneral && getTemplateKey(template) === getTemplateKey(LEGACY_AUTO_TEMPLATE)) {
-    template = null;
-  }
   if (template) {
     template = pushUniqueTemplate(templates, template);
   }
   const dueDate = normalizeDueDate(task.dueDate);
+  const dueTime = dueDate ? sanitizeDueTime(task.dueTime) : null;
   const completed = task.completed === true;
+  const project = findProject(options.projects || [], task.projectId);
 
   return {
     id: task.id,
-    contentHtml: task.contentHtml,
+    contentHtml,
     template,
     dueDate,
+    dueTime,
+    reminders: dueTime ? sanitizeReminders(task.reminders) : [],
     createdAt: typeof task.createdAt === "string" ? task.createdAt : new Date().toISOString(),
     completed,
     completedAt: completed && typeof task.completedAt === "string" ? task.completedAt : null,
-    sourceType: "manual",
-    projectId: null,
+    sourceType: TASK_SOURCE_TYPES.includes(task.sourceType) ? task.sourceType : "manual",
+    projectId: project ? project.id : null,
+    subtasks: sanitizeSubtasks(task.subtasks),
+    autoComplete: task.autoComplete === true,
+    recurrence: completed ? null : sanitizeRecurrence(task.recurrence),
+    priority: sanitizePriority(task.priority),
+    order: Number.isFinite(task.order) ? task.order : Number(options.order) || 0,
+    rescheduleCount:
+      Number.isInteger(task.rescheduleCount) && task.rescheduleCount > 0 ? task.rescheduleCount : 0,
+    nextOccurrenceId:
+      completed && typeof task.nextOccurrenceId === "string" ? task.nextOccurrenceId : null,
+  };
+}
+
+// A year typed only partway (0002, 0020, 0202) still makes a valid date, so only a year within
+// the date picker's range counts as a choice.
+function getPickedDueDate(value) {
+  const dueDate = normalizeDueDate(value);
+  const yearOffset = dueDate ? Number(dueDate.slice(0, 4)) - new Date().getFullYear() : Infinity;
+  return Math.abs(yearOffset) <= DUE_DATE_YEAR_RANGE ? dueDate : null;
+}
+
+// Only moving an existing due date later counts as pushing the task back.
+function getRescheduleCount(task, dueDate) {
+  return task.dueDate && dueDate && dueDate > task.dueDate
+    ? task.rescheduleCount + 1
+    : task.rescheduleCount;
+}
+
+function rescheduleTask(task, dueDate) {
+  // A due time that has already passed on the new day would leave the task overdue, so it is dropped.
+  const dueMoment = getDueMoment(dueDate, task.dueTime);
+  const keepsDueTime = Boolean(dueMoment) && dueMoment.getTime() > Date.now();
+  return {
+    ...task,
+    dueDate,
+    dueTime: keepsDueTime ? task.dueTime : null,
+    reminders: keepsDueTime ? task.reminders : [],
+    rescheduleCount: getRescheduleCount(task, dueDate),
   };
 }
 
+function createNextOccurrence(task, todayIsoDate = toIsoDateFromLocalDate(new Date())) {
+  const nextTask = createTask(task.contentHtml, {
+    template: task.template,
+    dueDate: getNextDueDate(task.recurrence, task.dueDate, todayIsoDate),
+    dueTime: task.dueTime,
+    reminders: task.reminders,
+    projectId: task.projectId,
+    recurrence: task.recurrence,
+    priority: task.priority,
+    order: task.order,
+  });
+  nextTask.subtasks = task.subtasks.map((subtask) => createSubtask(subtask.text));
+  nextTask.autoComplete = task.autoComplete;
+  return nextTask;
+}
+
+function completeTaskInList(tasks, taskId, completedAt) {
+  const task = tasks.find((candidate) => candidate.id === taskId);
+  if (!task || task.completed) {
+    return tasks;
+  }
+
+  // The completed instance stays in history; the repeat rule moves on to the next occurrence.
+  const nextOccurrence = task.recurrence ? createNextOccurrence(task) : null;
+  const nextTasks = tasks.map((candidate) =>
+    candidate.id === taskId
+      ? {
+          ...candidate,
+          completed: true,
+          completedAt,
+          recurrence: null,
+          nextOccurrenceId: nextOccurrence ? nextOccurrence.id : null,
+        }
+      : candidate
+  );
+  if (nextOccurrence) {
+    nextTasks.push(nextOccurrence);
+  }
+  return nextTasks;
+}
+
+const OCCURRENCE_COPIED_FIELDS = [
+  "contentHtml",
+  "template",
+  "dueDate",
+  "dueTime",
+  "reminders",
+  "projectId",
+  "recurrence",
+  "priority",
+  "autoComplete",
+  "completed",
+  "rescheduleCount",
+];
+
+function getSubtaskOutline(subtasks) {
+  return JSON.stringify(subtasks.map((subtask) => [subtask.text, subtask.completed]));
+}
+
+// The occurrence a completed task spawned can be taken back only while it is still the untouched
+// copy made on completion; once edited it stays, and the completed task reopens as a one-off.
+function findUntouchedOccurrence(tasks, task) {
+  const occurrence = tasks.find((candidate) => candidate.id === task.nextOccurrenceId);
+  if (!occurrence || !task.completedAt) {
+    return null;
+  }
+
+  const copy = createNextOccurrence(
+    { ...task, recurrence: occurrence.recurrence },
+    toIsoDateFromLocalDate(new Date(task.completedAt))
+  );
+  const isUntouched =
+    OCCURRENCE_COPIED_FIELDS.every(
+      (field) => JSON.stringify(occurrence[field]) === JSON.stringify(copy[field])
+    ) && getSubtaskOutline(occurrence.subtasks) === getSubtaskOutline(copy.subtasks);
+  return isUntouched ? occurrence : null;
+}
+
+// Reopening takes the repeat rule back from the occurrence it spawned, so the list never holds two
+// open copies of a repeating task.
+function reopenTaskInList(tasks, taskId) {
+  const task = tasks.find((candidate) => candidate.id === taskId);
+  if (!task || !task.completed) {
+    return tasks;
+  }
+
+  const nextOccurrence = findUntouchedOccurrence(tasks, task);
+  return tasks
+    .filter((candidate) => candidate !== nextOccurrence)
+    .map((candidate) =>
+      candidate.id === taskId
+        ? {
+            ...candidate,
+            completed: false,
+            completedAt: null,
+            recurrence: nextOccurrence ? nextOccurrence.recurrence : candidate.recurrence,
+            nextOccurrenceId: null,
+          }
+        : candidate
+    );
+}
+
+function getReopenLabel(tasks, task) {
+  return task.nextOccurrenceId && !findUntouchedOccurrence(tasks, task)
+    ? "Task reopened as a one-off"
+    : "Task reopened";
+}
+
+function sanitizeProjects(projects) {
+  if (!Array.isArray(projects)) {
+    return [];
+  }
+
+  return projects.reduce((sanitized, project) => {
+    const cleaned = sanitizeProject(project);
+    if (
+      cleaned &&
+      !findProject(sanitized, cleaned.id) &&
+      !findProjectByName(sanitized, cleaned.name)
+    ) {
+      sanitized.push(cleaned);
+    }
+    return sanitized;
+  }, []);
+}
+
 function resolveActiveFilter(activeFilter, templates) {
   if (activeFilter === FILTER_MODE_ALL || activeFilter === FILTER_MODE_NONE) {
     return activeFilter;
@@ -210,8 +553,39 @@ function resolveActiveFilter(activeFilter, templates) {
   return template || FILTER_MODE_ALL;
 }
 
+function resolveActiveProject(activeProject, projects) {
+  if (activeProject === PROJECT_VIEW_ALL || activeProject === PROJECT_VIEW_NONE) {
+    return activeProject;
+  }
+
+  const project = findProject(projects, activeProject);
+  return project ? project.id : PROJECT_VIEW_ALL;
+}
+
+function resolveComposerProject(projectId, projects) {
+  const project = findProject(projects, projectId);
+  return project && !project.archived ? project.id : null;
+}
+
+function resolveSortMode(sortMode) {
+  return sortMode === SORT_MODE_PRIORITY ? SORT_MODE_PRIORITY : SORT_MODE_MANUAL;
+}
+
+function isAgendaView(activeView) {
+  return AGENDA_VIEW_MODES.includes(activeView);
+}
+
+// Agenda views and the calendar place tasks by due date rather than by manual or priority order.
+function isDateOrderedView(activeView) {
+  return isAgendaView(activeView) || activeView === VIEW_MODE_CALENDAR;
+}
+
 function resolveActiveView(activeView) {
-  return activeView === VIEW_MODE_COMPLETED ? VIEW_MODE_COMPLETED : VIEW_MODE_TASKS;
+  if (activeView === VIEW_MODE_COMPLETED || isDateOrderedView(activeView)) {
+    return activeView;
+  }
+
+  return VIEW_MODE_TASKS;
 }
 
 function toFilterValue(activeFilter) {
@@ -243,99 +617,289 @@ function fromFilterValue(filterValue, templates) {
   return findTemplateValue(templates, templateName) || FILTER_MODE_ALL;
 }
 
-function loadState() {
-  const fallback = {
+function getFilterOptions(templates) {
+  return [
+    [FILTER_VALUE_ALL, "All templates"],
+    [FILTER_VALUE_NONE, "No template"],
+    ...templates.map((templateName) => [toFilterValue(templateName), templateName]),
+  ];
+}
+
+function addTemplatesFromList(templates, templateNames) {
+  if (!Array.isArray(templateNames)) {
+    return;
+  }
+
+  templateNames.forEach((templateName) => {
+    if (sanitizeTemplateName(templateName)) {
+      pushUniqueTemplate(templates, templateName);
+    }
+  });
+}
+
+function createEmptyState() {
+  return {
     tasks: [],
     templates: [],
+    projects: [],
     composerTemplate: null,
     composerDueDate: null,
+    composerDueTime: null,
+    composerReminders: [],
+    composerProjectId: null,
+    composerRecurrence: null,
+    composerPriority: null,
     activeFilter: FILTER_MODE_ALL,
     activeView: VIEW_MODE_TASKS,
+    activeProject: PROJECT_VIEW_ALL,
+    sortMode: SORT_MODE_MANUAL,
+    searchQuery: "",
   };
+}
 
-  try {
-    const raw = window.localStorage.getItem(STORAGE_KEY);
-    if (!raw) {
-      return fallback;
-    }
+function loadState(payload) {
+  const templates = [];
+  const projects = sanitizeProjects(payload.projects);
+  addTemplatesFromList(templates, payload.templates);
 
-    const parsed = JSON.parse(raw);
-    const isLegacyData = parsed.version !== STORAGE_VERSION;
-    const templates = [];
+  const tasks = payload.tasks
+    .map((task, index) => sanitizeTask(task, templates, { projects, order: index }))
+    .filter((task) => task !== null);
 
-    if (Array.isArray(parsed.templates)) {
-      parsed.templates.forEach((templateName) => {
-        const cleaned = sanitizeTemplateName(templateName);
-        if (!cleaned) {
-          return;
-        }
-        if (isLegacyData && getTemplateKey(cleaned) === getTemplateKey(LEGACY_AUTO_TEMPLATE)) {
-          return;
-        }
-        pushUniqueTemplate(templates, templateName);
-      });
-    }
+  const activeProject = resolveActiveProject(payload.activeProject, projects);
 
-    const tasks = Array.isArray(parsed.tasks)
-      ? parsed.tasks
-          .map((task) => sanitizeTask(task, templates, { stripLegacyGeneral: isLegacyData }))
-          .filter((task) => task !== null)
-      : [];
+  return {
+    ...createEmptyState(),
+    tasks,
+    templates,
+    projects,
+    composerProjectId: resolveComposerProject(activeProject, projects),
+    activeView: resolveActiveView(payload.activeView),
+    activeProject,
+    sortMode: resolveSortMode(payload.sortMode),
+  };
+}
 
-    return {
-      tasks,
-      templates,
-      composerTemplate: null,
-      composerDueDate: null,
-      activeFilter: FILTER_MODE_ALL,
-      activeView: resolveActiveView(parsed.activeView),
-    };
+// Anything that cannot be loaded completely is reported so the raw data can be set aside before the first save.
+function restoreStoredState(stored) {
+  if (!stored) {
+    return { state: createEmptyState(), recoveryReason: null };
+  }
+
+  if (stored.raw === null) {
+    return { state: createEmptyState(), recoveryReason: RECOVERY_REASON_UNAVAILABLE };
+  }
+
+  const migration = stored.payload
+    ? migratePayload(stored.payload, STORAGE_VERSION)
+    : { error: MIGRATION_ERROR_CORRUPT };
+  if (migration.error) {
+    return { state: createEmptyState(), recoveryReason: migration.error };
+  }
+
+  try {
+    const state = loadState(migration.payload);
+    const isPartial = state.tasks.length < migration.payload.tasks.length;
+    return { state, recoveryReason: isPartial ? RECOVERY_REASON_PARTIAL : null };
   } catch {
-    return fallback;
+    return { state: createEmptyState(), recoveryReason: MIGRATION_ERROR_CORRUPT };
   }
 }
 
 function saveState(state) {
-  try {
-    window.localStorage.setItem(
-      STORAGE_KEY,
-      JSON.stringify({
-        version: STORAGE_VERSION,
-        tasks: state.tasks,
-        templates: state.templates,
-        activeFilter: state.activeFilter,
-        activeView: state.activeView,
-      })
+  storage.save({
+    version: STORAGE_VERSION,
+    tasks: state.tasks,
+    templates: state.templates,
+    projects: state.projects,
+    activeFilter: state.activeFilter,
+    activeView: state.activeView,
+    activeProject: state.activeProject,
+    sortMode: state.sortMode,
+  });
+  serverSync.track(state);
+  reminders.reschedule();
+}
+
+function getTasksForActiveProject(state) {
+  if (state.activeProject === PROJECT_VIEW_ALL) {
+    const archivedProjectIds = new Set(
+      state.projects.filter((project) => project.archived).map((project) => project.id)
     );
-  } catch {
-    // Ignore persistence failures so the app remains usable.
+    return state.tasks.filter((task) => !archivedProjectIds.has(task.projectId));
+  }
+
+  if (state.activeProject === PROJECT_VIEW_NONE) {
+    return state.tasks.filter((task) => task.projectId === null);
+  }
+
+  return state.tasks.filter((task) => task.projectId === state.activeProject);
+}
+
+// Today also lists overdue tasks, since both need doing now; Upcoming starts today and spans UPCOMING_DAYS.
+function taskMatchesAgendaView(task, activeView, todayIsoDate) {
+  if (task.completed || !task.dueDate) {
+    return false;
+  }
+
+  if (activeView === VIEW_MODE_OVERDUE) {
+    return isTaskOverdue(task);
+  }
+
+  if (activeView === VIEW_MODE_TODAY) {
+    return task.dueDate <= todayIsoDate;
+  }
+
+  const endIsoDate = toIsoDateFromLocalDate(addDays(parseIsoDate(todayIsoDate), UPCOMING_DAYS));
+  return task.dueDate >= todayIsoDate && task.dueDate < endIsoDate;
+}
+
+function getTasksForView(state, activeView) {
+  const projectTasks = getTasksForActiveProject(state);
+  if (activeView === VIEW_MODE_COMPLETED) {
+    return projectTasks.filter((task) => task.completed);
+  }
+
+  if (isAgendaView(activeView)) {
+    const todayIsoDate = toIsoDateFromLocalDate(new Date());
+    return projectTasks.filter((task) => taskMatchesAgendaView(task, activeView, todayIsoDate));
+  }
+
+  if (activeView === VIEW_MODE_CALENDAR) {
+    return projectTasks.filter((task) => !task.completed && task.dueDate);
   }
+
+  return projectTasks.filter((task) => !task.completed);
 }
 
 function getTasksForActiveView(state) {
-  if (state.activeView === VIEW_MODE_COMPLETED) {
-    return state.tasks.filter((task) => task.completed);
+  return getTasksForView(state, state.activeView);
+}
+
+function getSearchTerms(query) {
+  if (typeof query !== "string") {
+    return [];
+  }
+
+  return query.toLowerCase().split(/\s+/).filter((term) => term.length > 0);
+}
+
+function taskMatchesSearch(task, searchTerms) {
+  const text = getTextFromHTML(task.contentHtml).toLowerCase();
+  return searchTerms.every((term) => text.includes(term));
+}
+
+function compareTasksByOrder(a, b) {
+  return a.order - b.order;
+}
+
+function getNextTaskOrder(tasks) {
+  return tasks.reduce((maxOrder, task) => Math.max(maxOrder, task.order), -1) + 1;
+}
+
+function moveTaskInOrder(tasks, taskId, targetTaskId, placeAfter) {
+  const orderedTasks = [...tasks].sort(compareTasksByOrder);
+  const fromIndex = orderedTasks.findIndex((task) => task.id === taskId);
+  if (fromIndex === -1) {
+    return tasks;
+  }
+
+  const [movedTask] = orderedTasks.splice(fromIndex, 1);
+  const targetIndex = orderedTasks.findIndex((task) => task.id === targetTaskId);
+  if (targetIndex === -1) {
+    return tasks;
+  }
+
+  orderedTasks.splice(placeAfter ? targetIndex + 1 : targetIndex, 0, movedTask);
+  return orderedTasks.map((task, index) => (task.order === index ? task : { ...task, order: index }));
+}
+
+function compareTasksByPriority(a, b) {
+  const priorityA = a.priority || TASK_PRIORITIES.length + 1;
+  const priorityB = b.priority || TASK_PRIORITIES.length + 1;
+  if (priorityA !== priorityB) {
+    return priorityA - priorityB;
+  }
+
+  if (a.dueDate && b.dueDate) {
+    return a.dueDate.localeCompare(b.dueDate);
+  }
+
+  if (a.dueDate || b.dueDate) {
+    return a.dueDate ? -1 : 1;
+  }
+
+  return 0;
+}
+
+function compareTasksByDueDate(a, b) {
+  if (a.dueDate !== b.dueDate) {
+    return a.dueDate.localeCompare(b.dueDate);
+  }
+
+  // Tasks without a time belong to the whole day, so they come before timed ones.
+  return (a.dueTime || "").localeCompare(b.dueTime || "");
+}
+
+function formatAgendaDateLabel(isoDate, todayIsoDate) {
+  if (isoDate === todayIsoDate) {
+    return "Today";
+  }
+
+  if (isoDate === toIsoDateFromLocalDate(addDays(parseIsoDate(todayIsoDate), 1))) {
+    return "Tomorrow";
+  }
+
+  return AGENDA_DATE_FORMATTER.format(parseIsoDate(isoDate));
+}
+
+function taskMatchesTemplateFilter(task, activeFilter) {
+  if (activeFilter === FILTER_MODE_ALL) {
+    return true;
+  }
+
+  if (activeFilter === FILTER_MODE_NONE) {
+    return !(typeof task.template === "string" && task.template.trim().length > 0);
   }
 
-  return state.tasks.filter((task) => !task.completed);
+  return task.template === activeFilter;
+}
+
+function getFilteredTasks(state) {
+  const searchTerms = getSearchTerms(state.searchQuery);
+  const viewTasks = getTasksForActiveView(state);
+  const tabTasks =
+    searchTerms.length > 0
+      ? viewTasks.filter((task) => taskMatchesSearch(task, searchTerms))
+      : viewTasks;
+  return tabTasks.filter((task) => taskMatchesTemplateFilter(task, state.activeFilter));
 }
 
 function getVisibleTasks(state) {
-  const tabTasks = getTasksForActiveView(state);
-  if (state.activeFilter === FILTER_MODE_ALL) {
-    return tabTasks;
+  const filteredTasks = [...getFilteredTasks(state)].sort(compareTasksByOrder);
+  if (state.sortMode === SORT_MODE_PRIORITY) {
+    filteredTasks.sort(compareTasksByPriority);
   }
 
-  if (state.activeFilter === FILTER_MODE_NONE) {
-    return tabTasks.filter(
-      (task) => !(typeof task.template === "string" && task.template.trim().length > 0)
-    );
+  // Agenda views read by date, so the manual or priority order only breaks ties within a day.
+  if (isDateOrderedView(state.activeView)) {
+    filteredTasks.sort(compareTasksByDueDate);
   }
 
-  return tabTasks.filter((task) => task.template === state.activeFilter);
+  return filteredTasks;
 }
 
 function getEmptyState(state, visibleTasks) {
+  if (getSearchTerms(state.searchQuery).length > 0 && visibleTasks.length === 0) {
+    return {
+      title: `No tasks match "${state.searchQuery.trim()}"`,
+      copy:
+        state.activeView === VIEW_MODE_COMPLETED
+          ? "Try another search or switch back to tasks."
+          : "Try another search or check Completed.",
+    };
+  }
+
   if (state.activeView === VIEW_MODE_COMPLETED && visibleTasks.length === 0) {
     return {
       title: "No completed tasks yet",
@@ -343,8 +907,19 @@ function getEmptyState(state, visibleTasks) {
     };
   }
 
+  if (isAgendaView(state.activeView) && getTasksForActiveView(state).length === 0) {
+    return AGENDA_EMPTY_STATES[state.activeView];
+  }
+
   const tabTasks = getTasksForActiveView(state);
   if (tabTasks.length === 0) {
+    const project = findProject(state.projects, state.activeProject);
+    if (project) {
+      return {
+        title: `No tasks in ${project.name}`,
+        copy: "Add one below or switch project.",
+      };
+    }
     return null;
   }
 
@@ -401,68 +976,523 @@ function deleteTemplateFromState(state, templateName) {
   }
 }
 
-function initApp() {
-  const taskListEl = document.getElementById("task-list");
-  const editorEl = document.getElementById("editor");
-  const composerEl = document.querySelector(".composer");
-  const filterPickerEl = document.getElementById("task-filter-picker");
-  const filterToggleEl = document.getElementById("task-filter-toggle");
-  const filterToggleLabelEl = document.getElementById("task-filter-toggle-label");
-  const filterToggleCaretEl = document.getElementById("task-filter-toggle-caret");
-  const filterMenuEl = document.getElementById("task-filter-menu");
-  const filterOptionsEl = document.getElementById("task-filter-options");
-  const completedTabToggleEl = document.getElementById("completed-tab-toggle");
+function deleteProjectFromState(state, projectId) {
+  const project = findProject(state.projects, projectId);
+  if (!project) {
+    return;
+  }
 
-  const templatePickerEl = document.getElementById("template-picker");
-  const templateToggleEl = document.getElementById("template-toggle");
-  const templateToggleLabelEl = document.getElementById("template-toggle-label");
-  const templateToggleCaretEl = document.getElementById("template-toggle-caret");
-  const templateMenuEl = document.getElementById("template-menu");
-  const templateOptionsEl = document.getElementById("template-options");
-  const templateAddTriggerEl = document.getElementById("template-add-trigger");
-  const templateAddFormEl = document.getElementById("template-add-form");
-  const templateAddInputEl = document.getElementById("template-add-input");
-  const templateClearOptionEl = templateMenuEl?.querySelector(".template-option-clear");
-  const dueDatePickerEl = document.getElementById("due-date-picker");
-  const dueDateInputEl = document.getElementById("due-date-input");
-  const dueDateToggleEl = document.getElementById("due-date-toggle");
-  const dueDateMenuEl = document.getElementById("due-date-menu");
-  const dueDateMonthToggleEl = document.getElementById("due-date-month-toggle");
-  const dueDateMonthLabelEl = document.getElementById("due-date-month-label");
-  const dueDateMonthMenuEl = document.getElementById("due-date-month-menu");
-  const dueDateMonthToggleCaretEl = dueDateMonthToggleEl?.querySelector(".due-date-select-caret");
-  const dueDateYearToggleEl = document.getElementById("due-date-year-toggle");
-  const dueDateYearLabelEl = document.getElementById("due-date-year-label");
-  const dueDateYearMenuEl = document.getElementById("due-date-year-menu");
-  const dueDateYearToggleCaretEl = dueDateYearToggleEl?.querySelector(".due-date-select-caret");
-  const dueDateGridEl = document.getElementById("due-date-grid");
-  const filterAllOptionEl = filterMenuEl?.querySelector(`[data-filter-value="${FILTER_VALUE_ALL}"]`);
-  const filterNoneOptionEl = filterMenuEl?.querySelector(`[data-filter-value="${FILTER_VALUE_NONE}"]`);
+  state.projects = state.projects.filter((existingProject) => existingProject.id !== project.id);
+  state.tasks = state.tasks.map((task) =>
+    task.projectId === project.id ? { ...task, projectId: null } : task
+  );
 
-  if (
-    !taskListEl ||
-    !editorEl ||
-    !composerEl ||
-    !filterPickerEl ||
-    !filterToggleEl ||
-    !filterToggleLabelEl ||
-    !filterToggleCaretEl ||
-    !filterMenuEl ||
-    !filterOptionsEl ||
-    !filterAllOptionEl ||
-    !filterNoneOptionEl ||
-    !completedTabToggleEl ||
-    !templatePickerEl ||
-    !templateToggleEl ||
-    !templateToggleLabelEl ||
-    !templateToggleCaretEl ||
-    !templateMenuEl ||
-    !templateOptionsEl ||
-    !templateAddTriggerEl ||
-    !templateAddFormEl ||
-    !templateAddInputEl ||
-    !templateClearOptionEl ||
-    !dueDatePickerEl ||
+  if (state.composerProjectId === project.id) {
+    state.composerProjectId = null;
+  }
+
+  if (state.activeProject === project.id) {
+    state.activeProject = PROJECT_VIEW_ALL;
+  }
+}
+
+function restoreHistorySnapshot(state, snapshot) {
+  state.tasks = snapshot.tasks;
+  state.templates = snapshot.templates;
+  state.projects = snapshot.projects;
+  state.composerTemplate = state.composerTemplate
+    ? findTemplateValue(state.templates, state.composerTemplate)
+    : null;
+  state.composerProjectId = resolveComposerProject(state.composerProjectId, state.projects);
+  state.activeFilter = resolveActiveFilter(state.activeFilter, state.templates);
+  state.activeProject = resolveActiveProject(state.activeProject, state.projects);
+}
+
+function createWorkspaceExport(state) {
+  return {
+    app: EXPORT_APP_ID,
+    version: STORAGE_VERSION,
+    exportedAt: new Date().toISOString(),
+    tasks: state.tasks,
+    templates: state.templates,
+    projects: state.projects,
+  };
+}
+
+function readSyncedWorkspace(payload) {
+  const migration = migratePayload(payload, STORAGE_VERSION);
+  if (migration.error) {
+    return { error: migration.error };
+  }
+
+  const { tasks, templates, projects } = loadState(migration.payload);
+  return { workspace: { tasks, templates, projects } };
+}
+
+function parseWorkspaceImport(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    return { error: "This file is not valid JSON." };
+  }
+
+  if (!parsed || typeof parsed !== "object" || !Array.isArray(parsed.tasks)) {
+    return { error: "This file is not a TaskDoIt export." };
+  }
+
+  const migration = migratePayload(parsed, STORAGE_VERSION);
+  if (migration.error === MIGRATION_ERROR_NEWER) {
+    return { error: "This file was exported by a newer version of TaskDoIt." };
+  }
+
+  return { workspace: migration.payload };
+}
+
+function getImportedTaskLabel(task, index) {
+  const text =
+    task && typeof task.contentHtml === "string" ? getTextFromHTML(task.contentHtml) : "";
+  return text || `Item ${index + 1}`;
+}
+
+function isSameTask(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function importWorkspace(state, workspace, mode) {
+  const isReplace = mode === IMPORT_MODE_REPLACE;
+  const templates = isReplace ? [] : [...state.templates];
+  addTemplatesFromList(templates, workspace.templates);
+
+  // Projects are matched by id first and then by name, so a merge never creates a second "Home".
+  const projects = isReplace ? [] : [...state.projects];
+  const projectIdMap = new Map();
+  sanitizeProjects(workspace.projects).forEach((project) => {
+    const existing = findProject(projects, project.id) || findProjectByName(projects, project.name);
+    if (existing) {
+      projectIdMap.set(project.id, existing.id);
+      return;
+    }
+    projects.push(project);
+  });
+
+  const tasks = isReplace ? [] : [...state.tasks];
+  const report = { added: [], updated: [], skipped: [] };
+  const seenIds = new Set();
+  let nextOrder = getNextTaskOrder(tasks);
+  workspace.tasks.forEach((rawTask, index) => {
+    const label = getImportedTaskLabel(rawTask, index);
+    const projectId = rawTask && projectIdMap.get(rawTask.projectId);
+    const task = sanitizeTask(projectId ? { ...rawTask, projectId } : rawTask, templates, {
+      projects,
+      order: index,
+    });
+    if (!task) {
+      report.skipped.push({ label, reason: "invalid" });
+      return;
+    }
+
+    if (seenIds.has(task.id)) {
+      report.skipped.push({ label, reason: "duplicate id" });
+      return;
+    }
+    seenIds.add(task.id);
+
+    const existingIndex = tasks.findIndex((candidate) => candidate.id === task.id);
+    if (existingIndex === -1) {
+      if (!isReplace) {
+        task.order = nextOrder;
+        nextOrder += 1;
+      }
+      tasks.push(task);
+      report.added.push({ label });
+      return;
+    }
+
+    const updatedTask = { ...task, order: tasks[existingIndex].order };
+    if (isSameTask(updatedTask, tasks[existingIndex])) {
+      report.skipped.push({ label, reason: "unchanged" });
+      return;
+    }
+
+    tasks[existingIndex] = updatedTask;
+    report.updated.push({ label });
+  });
+
+  return { snapshot: { tasks, templates, projects }, report };
+}
+
+function isSameSecond(a, b) {
+  return Math.floor(Date.parse(a) / 1000) === Math.floor(Date.parse(b) / 1000);
+}
+
+function importCalendarEntries(state, entries) {
+  const templates = [...state.templates];
+  const tasks = [...state.tasks];
+  const report = { added: [], updated: [], skipped: [] };
+  const seenIds = new Set();
+  let nextOrder = getNextTaskOrder(tasks);
+  entries.forEach((entry, index) => {
+    const label = entry.summary || `Item ${index + 1}`;
+    if (!entry.taskId || !entry.summary) {
+      report.skipped.push({ label, reason: "invalid" });
+      return;
+    }
+
+    if (seenIds.has(entry.taskId)) {
+      report.skipped.push({ label, reason: "duplicate id" });
+      return;
+    }
+    seenIds.add(entry.taskId);
+
+    // Calendar entries only carry some fields, so an existing task keeps everything else.
+    const existingIndex = tasks.findIndex((candidate) => candidate.id === entry.taskId);
+    const existing = existingIndex === -1 ? null : tasks[existingIndex];
+    const keepsCompletion =
+      existing &&
+      existing.completed &&
+      entry.completed &&
+      isSameSecond(existing.completedAt, entry.completedAt);
+    const task = sanitizeTask(
+      {
+        ...existing,
+        id: entry.taskId,
+        contentHtml:
+          existing && getTextFromHTML(existing.contentHtml) === entry.summary
+            ? existing.contentHtml
+            : getHTMLFromText(entry.summary),
+        template: entry.template || (existing ? existing.template : null),
+        dueDate: normalizeDueDate(entry.dueDate),
+        createdAt: existing ? existing.createdAt : entry.createdAt,
+        completed: entry.completed,
+        completedAt: keepsCompletion
+          ? existing.completedAt
+          : entry.completedAt || (entry.completed ? new Date().toISOString() : null),
+        recurrence: existing && !entry.completed ? existing.recurrence : null,
+        order: existing ? existing.order : nextOrder,
+      },
+      templates,
+      { projects: state.projects }
+    );
+
+    if (!existing) {
+      nextOrder += 1;
+      tasks.push(task);
+      report.added.push({ label });
+      return;
+    }
+
+    if (isSameTask(task, existing)) {
+      report.skipped.push({ label, reason: "unchanged" });
+      return;
+    }
+
+    tasks[existingIndex] = task;
+    report.updated.push({ label });
+  });
+
+  return { snapshot: { tasks, templates, projects: state.projects }, report };
+}
+
+function getTaskMatchKey(contentHtml, dueDate) {
+  return `${getTextFromHTML(contentHtml).replace(/\s+/g, " ").toLowerCase()}|${dueDate || ""}`;
+}
+
+// Impossible dates such as 2024-13-01 or 2024-02-30 fall back instead of failing the import or
+// rolling over into the next month.
+function getImportedTimestamp(value, fallback) {
+  if (typeof value !== "string" || !normalizeDueDate(value.slice(0, 10))) {
+    return fallback;
+  }
+
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? fallback : date.toISOString();
+}
+
+function importTaskEntries(state, entries) {
+  const templates = [...state.templates];
+  const projects = [...state.projects];
+  const tasks = [...state.tasks];
+  const report = { added: [], updated: [], skipped: [] };
+  const knownKeys = new Set(tasks.map((task) => getTaskMatchKey(task.contentHtml, task.dueDate)));
+  let nextOrder = getNextTaskOrder(tasks);
+  entries.forEach((entry, index) => {
+    const label = getTextFromHTML(entry.contentHtml) || `Item ${index + 1}`;
+    let project = entry.projectName ? findProjectByName(projects, entry.projectName) : null;
+    if (!project && sanitizeProjectName(entry.projectName)) {
+      project = createProject(entry.projectName);
+      projects.push(project);
+    }
+
+    const draft = createTask(entry.contentHtml, {
+      template: entry.template,
+      dueDate: entry.dueDate,
+      projectId: project ? project.id : null,
+      priority: entry.priority,
+      order: nextOrder,
+    });
+    const task = sanitizeTask(
+      {
+        ...draft,
+        createdAt: getImportedTimestamp(entry.createdAt, draft.createdAt),
+        completed: entry.completed,
+        completedAt: getImportedTimestamp(entry.completedAt, null),
+        subtasks: (entry.subtasks || []).map((subtask) => ({
+          ...createSubtask(subtask.text),
+          completed: subtask.completed,
+        })),
+      },
+      templates,
+      { projects }
+    );
+    if (!task) {
+      report.skipped.push({ label, reason: "invalid" });
+      return;
+    }
+
+    // Plain-text formats carry no ids, so a task with the same text and due date counts as present.
+    const key = getTaskMatchKey(task.contentHtml, task.dueDate);
+    if (knownKeys.has(key)) {
+      report.skipped.push({ label, reason: "already in the list" });
+      return;
+    }
+
+    knownKeys.add(key);
+    nextOrder += 1;
+    tasks.push(task);
+    report.added.push({ label });
+  });
+
+  return { snapshot: { tasks, templates, projects }, report };
+}
+
+function getTasksForPlainTextExport(tasks) {
+  return [...tasks].sort(
+    (a, b) => Number(a.completed) - Number(b.completed) || compareTasksByOrder(a, b)
+  );
+}
+
+function downloadFile(fileName, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.append(link);
+  link.click();
+  link.remove();
+  window.setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function isEditableTarget(target) {
+  if (!(target instanceof HTMLElement)) {
+    return false;
+  }
+
+  if (target.isContentEditable) {
+    return true;
+  }
+
+  return target.tagName === "INPUT" || target.tagName === "TEXTAREA" || target.tagName === "SELECT";
+}
+
+async function initApp() {
+  const taskListEl = document.getElementById("task-list");
+  const taskCalendarEl = document.getElementById("task-calendar");
+  const taskCalendarGridEl = document.getElementById("task-calendar-grid");
+  const taskCalendarMonthSelectEl = document.getElementById("task-calendar-month");
+  const taskCalendarYearSelectEl = document.getElementById("task-calendar-year");
+  const editorEl = document.getElementById("editor");
+  const composerEl = document.querySelector(".composer");
+  const formatToolbarEl = composerEl?.querySelector(".format-toolbar");
+  const filterPickerEl = document.getElementById("task-filter-picker");
+  const filterToggleEl = document.getElementById("task-filter-toggle");
+  const filterToggleLabelEl = document.getElementById("task-filter-toggle-label");
+  const filterToggleCaretEl = document.getElementById("task-filter-toggle-caret");
+  const filterMenuEl = document.getElementById("task-filter-menu");
+  const filterOptionsEl = document.getElementById("task-filter-options");
+  const completedTabToggleEl = document.getElementById("completed-tab-toggle");
+  const agendaViewControlsEl = document.getElementById("agenda-view-controls");
+  const calendarViewToggleEl = document.getElementById("calendar-view-toggle");
+  const selectionToggleEl = document.getElementById("selection-toggle");
+  const rescheduleOverdueToggleEl = document.getElementById("reschedule-overdue-toggle");
+  const selectionToolbarEl = document.getElementById("selection-toolbar");
+  const selectionCountEl = document.getElementById("selection-count");
+  const selectionTemplateSelectEl = document.getElementById("selection-template-select");
+  const selectionDueInputEl = document.getElementById("selection-due-input");
+  const selectionProjectSelectEl = document.getElementById("selection-project-select");
+  const searchInputEl = document.getElementById("task-search-input");
+  const quickAddPreviewEl = document.getElementById("quick-add-preview");
+  const projectViewPickerEl = document.getElementById("project-view-picker");
+  const projectViewToggleEl = document.getElementById("project-view-toggle");
+  const projectViewToggleLabelEl = document.getElementById("project-view-toggle-label");
+  const projectViewToggleCaretEl = document.getElementById("project-view-toggle-caret");
+  const projectViewMenuEl = document.getElementById("project-view-menu");
+  const projectViewOptionsEl = document.getElementById("project-view-options");
+  const projectArchivedToggleEl = document.getElementById("project-archived-toggle");
+  const projectAddTriggerEl = document.getElementById("project-add-trigger");
+  const projectAddFormEl = document.getElementById("project-add-form");
+  const projectAddInputEl = document.getElementById("project-add-input");
+  const projectViewAllOptionEl = projectViewMenuEl?.querySelector(
+    `[data-project-value="${PROJECT_VIEW_ALL}"]`
+  );
+  const projectViewNoneOptionEl = projectViewMenuEl?.querySelector(
+    `[data-project-value="${PROJECT_VIEW_NONE}"]`
+  );
+  const toastEl = document.getElementById("toast");
+  const toastMessageEl = document.getElementById("toast-message");
+  const toastActionEl = document.getElementById("toast-action");
+  const updatePromptEl = document.getElementById("update-prompt");
+  const updatePromptActionEl = document.getElementById("update-prompt-action");
+  const recoveryBannerEl = document.getElementById("recovery-banner");
+  const recoveryMessageEl = document.getElementById("recovery-message");
+  const recoveryListEl = document.getElementById("recovery-list");
+  const recoveryDiscardEl = document.getElementById("recovery-discard");
+  const commandPaletteEl = document.getElementById("command-palette");
+  const commandPaletteInputEl = document.getElementById("command-palette-input");
+  const commandPaletteListEl = document.getElementById("command-palette-list");
+  const commandPaletteHintEl = document.getElementById("command-palette-hint");
+  const shortcutsDialogEl = document.getElementById("shortcuts-dialog");
+  const shortcutsListEl = document.getElementById("shortcuts-list");
+  const dataDialogToggleEl = document.getElementById("data-dialog-toggle");
+  const dataDialogEl = document.getElementById("data-dialog");
+  const dataReportEl = document.getElementById("data-report");
+  const dataImportInputEl = document.getElementById("data-import-input");
+  const reportFromInputEl = document.getElementById("report-from-input");
+  const reportToInputEl = document.getElementById("report-to-input");
+  const reportTemplateSelectEl = document.getElementById("report-template-select");
+  const syncEndpointInputEl = document.getElementById("sync-endpoint-input");
+  const syncStatusEl = document.getElementById("sync-status");
+
+  const templatePickerEl = document.getElementById("template-picker");
+  const templateToggleEl = document.getElementById("template-toggle");
+  const templateToggleLabelEl = document.getElementById("template-toggle-label");
+  const templateToggleCaretEl = document.getElementById("template-toggle-caret");
+  const templateMenuEl = document.getElementById("template-menu");
+  const templateOptionsEl = document.getElementById("template-options");
+  const templateAddTriggerEl = document.getElementById("template-add-trigger");
+  const templateAddFormEl = document.getElementById("template-add-form");
+  const templateAddInputEl = document.getElementById("template-add-input");
+  const templateClearOptionEl = templateMenuEl?.querySelector(".template-option-clear");
+  const projectPickerEl = document.getElementById("project-picker");
+  const projectToggleEl = document.getElementById("project-toggle");
+  const projectToggleLabelEl = document.getElementById("project-toggle-label");
+  const projectToggleCaretEl = document.getElementById("project-toggle-caret");
+  const projectMenuEl = document.getElementById("project-menu");
+  const projectOptionsEl = document.getElementById("project-options");
+  const projectClearOptionEl = projectMenuEl?.querySelector(".template-option-clear");
+  const priorityPickerEl = document.getElementById("priority-picker");
+  const priorityToggleEl = document.getElementById("priority-toggle");
+  const priorityToggleLabelEl = document.getElementById("priority-toggle-label");
+  const priorityToggleCaretEl = document.getElementById("priority-toggle-caret");
+  const priorityMenuEl = document.getElementById("priority-menu");
+  const sortToggleEl = document.getElementById("sort-toggle");
+  const dueDatePickerEl = document.getElementById("due-date-picker");
+  const dueDateInputEl = document.getElementById("due-date-input");
+  const dueDateToggleEl = document.getElementById("due-date-toggle");
+  const dueDateMenuEl = document.getElementById("due-date-menu");
+  const dueDateMonthToggleEl = document.getElementById("due-date-month-toggle");
+  const dueDateMonthLabelEl = document.getElementById("due-date-month-label");
+  const dueDateMonthMenuEl = document.getElementById("due-date-month-menu");
+  const dueDateMonthToggleCaretEl = dueDateMonthToggleEl?.querySelector(".due-date-select-caret");
+  const dueDateYearToggleEl = document.getElementById("due-date-year-toggle");
+  const dueDateYearLabelEl = document.getElementById("due-date-year-label");
+  const dueDateYearMenuEl = document.getElementById("due-date-year-menu");
+  const dueDateYearToggleCaretEl = dueDateYearToggleEl?.querySelector(".due-date-select-caret");
+  const dueDateGridEl = document.getElementById("due-date-grid");
+  const dueDateTimeLabelEl = document.getElementById("due-date-time-label");
+  const dueDateTimeInputEl = document.getElementById("due-date-time-input");
+  const dueDateRemindersEl = document.getElementById("due-date-reminders");
+  const dueDateReminderHintEl = document.getElementById("due-date-reminder-hint");
+  const recurrencePickerEl = document.getElementById("recurrence-picker");
+  const recurrenceToggleEl = document.getElementById("recurrence-toggle");
+  const recurrenceToggleLabelEl = document.getElementById("recurrence-toggle-label");
+  const recurrenceMenuEl = document.getElementById("recurrence-menu");
+  const recurrenceWeeklyEl = document.getElementById("recurrence-weekly");
+  const recurrenceIntervalEl = document.getElementById("recurrence-interval");
+  const recurrenceMonthlyEl = document.getElementById("recurrence-monthly");
+  const recurrenceMonthDayEl = document.getElementById("recurrence-month-day");
+  const filterAllOptionEl = filterMenuEl?.querySelector(`[data-filter-value="${FILTER_VALUE_ALL}"]`);
+  const filterNoneOptionEl = filterMenuEl?.querySelector(`[data-filter-value="${FILTER_VALUE_NONE}"]`);
+
+  if (
+    !taskListEl ||
+    !taskCalendarEl ||
+    !taskCalendarGridEl ||
+    !taskCalendarMonthSelectEl ||
+    !taskCalendarYearSelectEl ||
+    !editorEl ||
+    !composerEl ||
+    !formatToolbarEl ||
+    !filterPickerEl ||
+    !filterToggleEl ||
+    !filterToggleLabelEl ||
+    !filterToggleCaretEl ||
+    !filterMenuEl ||
+    !filterOptionsEl ||
+    !filterAllOptionEl ||
+    !filterNoneOptionEl ||
+    !completedTabToggleEl ||
+    !agendaViewControlsEl ||
+    !calendarViewToggleEl ||
+    !rescheduleOverdueToggleEl ||
+    !searchInputEl ||
+    !quickAddPreviewEl ||
+    !projectViewPickerEl ||
+    !projectViewToggleEl ||
+    !projectViewToggleLabelEl ||
+    !projectViewToggleCaretEl ||
+    !projectViewMenuEl ||
+    !projectViewOptionsEl ||
+    !projectArchivedToggleEl ||
+    !projectAddTriggerEl ||
+    !projectAddFormEl ||
+    !projectAddInputEl ||
+    !projectViewAllOptionEl ||
+    !projectViewNoneOptionEl ||
+    !toastEl ||
+    !toastMessageEl ||
+    !toastActionEl ||
+    !updatePromptEl ||
+    !updatePromptActionEl ||
+    !recoveryBannerEl ||
+    !recoveryMessageEl ||
+    !recoveryListEl ||
+    !recoveryDiscardEl ||
+    !shortcutsDialogEl ||
+    !shortcutsListEl ||
+    !dataDialogToggleEl ||
+    !dataDialogEl ||
+    !dataReportEl ||
+    !dataImportInputEl ||
+    !reportFromInputEl ||
+    !reportToInputEl ||
+    !reportTemplateSelectEl ||
+    !syncEndpointInputEl ||
+    !syncStatusEl ||
+    !templatePickerEl ||
+    !templateToggleEl ||
+    !templateToggleLabelEl ||
+    !templateToggleCaretEl ||
+    !templateMenuEl ||
+    !templateOptionsEl ||
+    !templateAddTriggerEl ||
+    !templateAddFormEl ||
+    !templateAddInputEl ||
+    !templateClearOptionEl ||
+    !projectPickerEl ||
+    !projectToggleEl ||
+    !projectToggleLabelEl ||
+    !projectToggleCaretEl ||
+    !projectMenuEl ||
+    !projectOptionsEl ||
+    !projectClearOptionEl ||
+    !priorityPickerEl ||
+    !priorityToggleEl ||
+    !priorityToggleLabelEl ||
+    !priorityToggleCaretEl ||
+    !priorityMenuEl ||
+    !sortToggleEl ||
+    !dueDatePickerEl ||
     !dueDateInputEl ||
     !dueDateToggleEl ||
     !dueDateMenuEl ||
@@ -474,119 +1504,567 @@ function initApp() {
     !dueDateYearLabelEl ||
     !dueDateYearMenuEl ||
     !dueDateYearToggleCaretEl ||
-    !dueDateGridEl
+    !dueDateGridEl ||
+    !dueDateTimeLabelEl ||
+    !dueDateTimeInputEl ||
+    !dueDateRemindersEl ||
+    !dueDateReminderHintEl ||
+    !recurrencePickerEl ||
+    !recurrenceToggleEl ||
+    !recurrenceToggleLabelEl ||
+    !recurrenceMenuEl ||
+    !recurrenceWeeklyEl ||
+    !recurrenceIntervalEl ||
+    !recurrenceMonthlyEl ||
+    !recurrenceMonthDayEl
   ) {
     throw new Error("App could not initialize due to missing required DOM nodes.");
   }
 
-  const state = loadState();
+  const storedState = await storage.load();
+  const restored = restoreStoredState(storedState);
+  const state = restored.state;
+  let recoveryReason = restored.recoveryReason;
+  let unsavedRecoveryBackup = null;
+  if (recoveryReason === MIGRATION_ERROR_NEWER) {
+    // The newer version can still read what is stored, so it is left in place rather than set aside.
+    storage.lock();
+  } else if (recoveryReason && storedState?.raw) {
+    const backup = { savedAt: new Date().toISOString(), reason: recoveryReason, raw: storedState.raw };
+    if (!(await storage.quarantine(backup))) {
+      unsavedRecoveryBackup = backup;
+    }
+  }
+  let recoveryBackups = await storage.loadBackups();
+  const downloadedRecoveryBackups = new Set();
   let templateMenuOpen = false;
   let filterMenuOpen = false;
+  let projectMenuOpen = false;
+  let priorityMenuOpen = false;
+  let projectViewMenuOpen = false;
+  let showArchivedProjects = false;
+  let renamingProjectId = null;
   let dueDateMenuOpen = false;
   let dueDateMonthMenuOpen = false;
   let dueDateYearMenuOpen = false;
   let dueDatePickerPointerActive = false;
+  let recurrenceMenuOpen = false;
   let dueDateViewDate = new Date();
   dueDateViewDate.setDate(1);
+  let calendarViewDate = new Date();
+  calendarViewDate.setDate(1);
+  let calendarExpandedDate = null;
+  // The day and text of the new-task field, which is rebuilt whenever the calendar is drawn.
+  let calendarDraft = null;
+  let calendarDrag = null;
+  // The click that ends a chip drag must not also open the task or start a new one on the day.
+  let suppressCalendarClick = false;
+  let redrawCalendarAfterPress = false;
+  // Native date inputs fire change for every digit of a typed year, so a date field is only applied
+  // when it is left or Enter is pressed, and only if it moved away from the date it was focused with.
+  let dueDateFieldStart = null;
+  let overdueRefreshTimerId = 0;
   let placementRafId = 0;
+  let taskEdit = null;
+  let taskDrag = null;
+  let pendingImportFormat = IMPORT_FORMAT_JSON;
+  let toastTimerId = 0;
+  let toastAction = null;
+  let newerTabNoticeShown = false;
+  let applyUpdate = null;
+  let shortcutsReturnFocusEl = null;
+  let selectionMode = false;
+  let selectionAnchorId = null;
+  const selectedTaskIds = new Set();
+  let paletteCommands = [];
+  let paletteActiveIndex = 0;
+  let palettePromptCommand = null;
+  let paletteReturnFocusEl = null;
   const pendingCompletionTimers = new Map();
+  const history = createHistory();
+  const commandRegistry = createCommandRegistry();
   state.composerDueDate = normalizeDueDate(state.composerDueDate);
   saveState(state);
 
-  function resetTemplateMenuPlacement() {
-    templateMenuEl.classList.remove("is-open-up", "is-open-down", "is-side-right", "is-side-left");
-    templateMenuEl.style.maxHeight = "";
-    templateOptionsEl.style.maxHeight = "";
+  function captureHistorySnapshot() {
+    const completedAt = new Date().toISOString();
+    return {
+      // Completions still animating are recorded as done so undoing a later change keeps them.
+      tasks: Array.from(pendingCompletionTimers.keys()).reduce(
+        (tasks, taskId) => completeTaskInList(tasks, taskId, completedAt),
+        state.tasks
+      ),
+      templates: state.templates,
+      projects: state.projects,
+    };
   }
 
-  function updateTemplateOptionsScrollArea() {
-    const visibleChildren = Array.from(templateMenuEl.children).filter((child) => !child.hidden);
-    const nonListChildren = visibleChildren.filter((child) => child !== templateOptionsEl);
-    const menuStyles = window.getComputedStyle(templateMenuEl);
-    const menuRowGap = parseFloat(menuStyles.rowGap || menuStyles.gap || "0") || 0;
-    const siblingHeights = nonListChildren.reduce(
-      (sum, child) => sum + child.getBoundingClientRect().height,
-      0
-    );
-    const availableHeight =
-      templateMenuEl.clientHeight -
-      siblingHeights -
-      menuRowGap * Math.max(0, visibleChildren.length - 1);
+  function recordHistory(label) {
+    history.record(label, captureHistorySnapshot());
+  }
 
-    const optionStyles = window.getComputedStyle(templateOptionsEl);
-    const optionRowGap = parseFloat(optionStyles.rowGap || optionStyles.gap || "0") || 0;
-    const firstRow = templateOptionsEl.querySelector(".template-option-row");
-    const rowHeight = firstRow ? firstRow.getBoundingClientRect().height : 30;
-    const maxVisibleRows = 5;
-    const visibleRowCap =
-      rowHeight * maxVisibleRows + optionRowGap * Math.max(0, maxVisibleRows - 1);
-    const nextMaxHeight = Math.max(52, Math.floor(Math.min(availableHeight, visibleRowCap)));
+  function clearPendingCompletions() {
+    pendingCompletionTimers.forEach((timerId) => {
+      window.clearTimeout(timerId);
+    });
+    pendingCompletionTimers.clear();
+  }
 
-    templateOptionsEl.style.maxHeight = `${nextMaxHeight}px`;
+  function hideToast() {
+    if (toastTimerId) {
+      window.clearTimeout(toastTimerId);
+      toastTimerId = 0;
+    }
+    toastAction = null;
+    toastEl.hidden = true;
   }
 
-  function updateTemplateMenuPlacement() {
-    if (!templateMenuOpen) {
-      return;
+  function showToast(message, action = null) {
+    if (toastTimerId) {
+      window.clearTimeout(toastTimerId);
     }
 
-    resetTemplateMenuPlacement();
+    toastMessageEl.textContent = message;
+    toastAction = action;
+    toastActionEl.hidden = !action;
+    toastActionEl.textContent = action ? action.label : "";
+    toastEl.hidden = false;
+    toastTimerId = window.setTimeout(hideToast, TOAST_DURATION_MS);
+  }
 
-    const viewportPadding = 10;
-    const toggleRect = templateToggleEl.getBoundingClientRect();
-    const menuRect = templateMenuEl.getBoundingClientRect();
-    const viewportWidth = window.innerWidth;
-    const viewportHeight = window.innerHeight;
+  function showUpdatePrompt(apply) {
+    applyUpdate = apply;
+    updatePromptEl.hidden = false;
+  }
 
-    const spaceBelow = viewportHeight - toggleRect.bottom - viewportPadding;
-    const spaceAbove = toggleRect.top - viewportPadding;
-    const spaceRight = viewportWidth - toggleRect.right - viewportPadding;
-    const spaceLeft = toggleRect.left - viewportPadding;
+  function handleUpdatePromptActionClick() {
+    if (!applyUpdate) {
+      return;
+    }
 
-    const menuHeight = menuRect.height;
-    const menuWidth = menuRect.width;
+    updatePromptActionEl.disabled = true;
+    applyUpdate();
+  }
 
-    const canOpenRight = spaceRight >= Math.max(180, menuWidth * 0.72);
-    const canOpenLeft = spaceLeft >= Math.max(180, menuWidth * 0.72);
-    const canOpenBelow = spaceBelow >= Math.max(150, menuHeight * 0.55);
-    const canOpenAbove = spaceAbove >= Math.max(150, menuHeight * 0.55);
+  function getRecoveryBackups() {
+    return unsavedRecoveryBackup ? [...recoveryBackups, unsavedRecoveryBackup] : recoveryBackups;
+  }
 
-    let maxHeight = Math.max(140, Math.min(320, spaceAbove));
+  function getRecoveryMessage() {
+    if (recoveryReason === RECOVERY_REASON_UNAVAILABLE) {
+      return "TaskDoIt could not open your saved tasks. Changes in this tab will not be saved, so reload to try again.";
+    }
 
-    if (!canOpenAbove && canOpenBelow) {
-      templateMenuEl.classList.add("is-open-down");
-      maxHeight = Math.max(140, Math.min(320, spaceBelow));
-    } else if (!canOpenAbove && !canOpenBelow && (canOpenRight || canOpenLeft)) {
-      if (canOpenRight) {
-        templateMenuEl.classList.add("is-side-right");
-      } else {
-        templateMenuEl.classList.add("is-side-left");
-      }
-      maxHeight = Math.max(140, Math.min(360, viewportHeight - toggleRect.top - viewportPadding));
-    } else if (!canOpenAbove && !canOpenBelow) {
-      maxHeight = Math.max(140, Math.min(320, viewportHeight - viewportPadding * 2));
+    if (unsavedRecoveryBackup) {
+      return "Your saved tasks could not be read or set aside. Changes in this tab will not be saved until you download the data below and discard it.";
     }
 
-    templateMenuEl.style.maxHeight = `${Math.floor(maxHeight)}px`;
-    updateTemplateOptionsScrollArea();
+    return RECOVERY_MESSAGES[recoveryReason] || "Saved data that TaskDoIt could not read is still set aside.";
   }
 
-  function scheduleTemplateMenuPlacement() {
-    if (!templateMenuOpen) {
-      return;
-    }
+  function getRecoveryBackupDate(backup) {
+    const savedAt = backup.savedAt ? new Date(backup.savedAt) : null;
+    return savedAt && !Number.isNaN(savedAt.getTime()) ? savedAt : null;
+  }
 
-    if (placementRafId) {
-      window.cancelAnimationFrame(placementRafId);
+  function renderRecoveryBanner() {
+    const backups = getRecoveryBackups();
+    recoveryBannerEl.hidden = backups.length === 0 && !READ_ONLY_RECOVERY_REASONS.has(recoveryReason);
+    if (recoveryBannerEl.hidden) {
+      return;
     }
 
-    placementRafId = window.requestAnimationFrame(() => {
-      placementRafId = 0;
-      updateTemplateMenuPlacement();
+    recoveryMessageEl.textContent = getRecoveryMessage();
+    recoveryListEl.innerHTML = "";
+    backups.forEach((backup, index) => {
+      const item = document.createElement("li");
+      item.className = "recovery-item";
+      const label = document.createElement("span");
+      const savedAt = getRecoveryBackupDate(backup);
+      label.textContent = `${RECOVERY_REASON_LABELS[backup.reason] || "Set aside"} · ${
+        savedAt ? savedAt.toLocaleString() : "unknown date"
+      }`;
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "panel-view-button";
+      button.dataset.action = "download-backup";
+      button.dataset.backupIndex = String(index);
+      button.textContent = downloadedRecoveryBackups.has(index) ? "Download again" : "Download";
+      item.append(label, button);
+      recoveryListEl.append(item);
     });
+    recoveryDiscardEl.hidden = backups.length === 0;
+    // Discarding is only offered once every copy has been downloaded.
+    recoveryDiscardEl.disabled = backups.some((backup, index) => !downloadedRecoveryBackups.has(index));
   }
 
-  function setTemplateMenuOpen(isOpen) {
+  function handleRecoveryListClick(event) {
+    const button = event.target.closest("[data-action='download-backup']");
+    if (!button) {
+      return;
+    }
+
+    const index = Number(button.dataset.backupIndex);
+    const backup = getRecoveryBackups()[index];
+    if (!backup) {
+      return;
+    }
+
+    const dateStamp = toIsoDateFromLocalDate(getRecoveryBackupDate(backup) || new Date());
+    downloadFile(`taskdoit-backup-${dateStamp}-${index + 1}.json`, String(backup.raw), "application/json");
+    downloadedRecoveryBackups.add(index);
+    renderRecoveryBanner();
+  }
+
+  async function handleRecoveryDiscardClick() {
+    if (!(await storage.clearBackups())) {
+      showToast("Set-aside data could not be discarded.");
+      return;
+    }
+
+    recoveryBackups = [];
+    downloadedRecoveryBackups.clear();
+    if (READ_ONLY_RECOVERY_REASONS.has(recoveryReason)) {
+      renderRecoveryBanner();
+      return;
+    }
+
+    if (unsavedRecoveryBackup) {
+      unsavedRecoveryBackup = null;
+      storage.unlock();
+      saveState(state);
+    }
+    recoveryReason = null;
+    renderRecoveryBanner();
+  }
+
+  function showUndoToast(label) {
+    showToast(label, { label: "Undo", run: undoLastChange });
+  }
+
+  function applyHistoryEntry(entry) {
+    clearPendingCompletions();
+    if (taskEdit) {
+      closePickerMenus();
+      taskEdit = null;
+    }
+    restoreHistorySnapshot(state, entry.snapshot);
+    saveState(state);
+    renderApp();
+  }
+
+  function undoLastChange() {
+    const entry = history.undo(captureHistorySnapshot());
+    if (!entry) {
+      showToast("Nothing to undo");
+      return;
+    }
+
+    applyHistoryEntry(entry);
+    showToast(`Undone: ${entry.label}`, { label: "Redo", run: redoLastChange });
+  }
+
+  function redoLastChange() {
+    const entry = history.redo(captureHistorySnapshot());
+    if (!entry) {
+      showToast("Nothing to redo");
+      return;
+    }
+
+    applyHistoryEntry(entry);
+    showUndoToast(entry.label);
+  }
+
+  // Changes saved by another tab are merged in; the composer and any open picker stay as they are.
+  function handleRemoteChange(payload, basePayload) {
+    const incoming = readSyncedWorkspace(payload);
+    if (incoming.error) {
+      if (incoming.error === MIGRATION_ERROR_NEWER && !newerTabNoticeShown) {
+        newerTabNoticeShown = true;
+        showToast("TaskDoIt was updated in another tab.", {
+          label: "Reload",
+          run: () => window.location.reload(),
+        });
+      }
+      return;
+    }
+
+    const base = (basePayload && readSyncedWorkspace(basePayload).workspace) || {
+      tasks: [],
+      templates: [],
+      projects: [],
+    };
+    const local = { tasks: state.tasks, templates: state.templates, projects: state.projects };
+    incoming.workspace.tasks.sort(compareTasksByOrder);
+    const merged = mergeWorkspaces(base, local, incoming.workspace);
+    merged.tasks.sort(compareTasksByOrder);
+    serverSync.adopt(incoming.workspace);
+
+    if (!isSameWorkspace(merged, local)) {
+      restoreHistorySnapshot(state, merged);
+      // Undoing past another tab's change would silently revert it there too.
+      history.clear();
+      renderApp();
+      reminders.reschedule();
+    }
+    if (!isSameWorkspace(merged, incoming.workspace)) {
+      saveState(state);
+    }
+  }
+
+  function applyServerWorkspace(workspace) {
+    const { tasks, templates, projects } = loadState(workspace);
+    tasks.sort(compareTasksByOrder);
+    restoreHistorySnapshot(state, { tasks, templates, projects });
+    history.clear();
+    saveState(state);
+    renderApp();
+  }
+
+  function renderSyncStatus(status) {
+    if (document.activeElement !== syncEndpointInputEl) {
+      syncEndpointInputEl.value = status.endpoint || "";
+    }
+
+    if (!status.endpoint) {
+      syncStatusEl.textContent = "Sync is off. Changes stay on this device.";
+      return;
+    }
+
+    const pending =
+      status.pendingCount === 0
+        ? "Nothing waiting to send."
+        : `${status.pendingCount} ${status.pendingCount === 1 ? "change" : "changes"} waiting to send.`;
+    if (status.syncing) {
+      syncStatusEl.textContent = `Syncing… ${pending}`;
+    } else if (status.error) {
+      syncStatusEl.textContent = `Could not reach the server: ${status.error} ${pending}`;
+    } else if (status.lastSyncedAt) {
+      syncStatusEl.textContent = `Last synced ${new Date(status.lastSyncedAt).toLocaleString()}. ${pending}`;
+    } else {
+      syncStatusEl.textContent = `Not synced yet. ${pending}`;
+    }
+  }
+
+  function handleEnableSync() {
+    if (READ_ONLY_RECOVERY_REASONS.has(recoveryReason)) {
+      renderDataError("Sync cannot be turned on while changes in this tab are not saved.");
+      return;
+    }
+
+    const value = syncEndpointInputEl.value.trim();
+    let endpoint = null;
+    try {
+      endpoint = new URL(value);
+    } catch {
+      endpoint = null;
+    }
+    if (!endpoint || !["http:", "https:"].includes(endpoint.protocol)) {
+      renderDataError("Enter the full http:// or https:// address of your sync server.");
+      return;
+    }
+
+    dataReportEl.hidden = true;
+    serverSync.enable(endpoint.href);
+  }
+
+  function getPickerTemplate() {
+    return taskEdit ? taskEdit.template : state.composerTemplate;
+  }
+
+  function setPickerTemplate(template) {
+    if (taskEdit) {
+      taskEdit.template = template;
+      return;
+    }
+
+    state.composerTemplate = template;
+  }
+
+  function getPickerProjectId() {
+    return taskEdit ? taskEdit.projectId : state.composerProjectId;
+  }
+
+  function setPickerProjectId(projectId) {
+    if (taskEdit) {
+      taskEdit.projectId = projectId;
+      return;
+    }
+
+    state.composerProjectId = projectId;
+  }
+
+  function getPickerPriority() {
+    return taskEdit ? taskEdit.priority : state.composerPriority;
+  }
+
+  function setPickerPriority(priority) {
+    if (taskEdit) {
+      taskEdit.priority = priority;
+      return;
+    }
+
+    state.composerPriority = priority;
+  }
+
+  function getPickerRecurrence() {
+    return taskEdit ? taskEdit.recurrence : state.composerRecurrence;
+  }
+
+  function setPickerRecurrence(recurrence) {
+    if (taskEdit) {
+      taskEdit.recurrence = recurrence;
+      return;
+    }
+
+    state.composerRecurrence = recurrence;
+  }
+
+  function getPickerDueDate() {
+    return taskEdit ? taskEdit.dueDate : state.composerDueDate;
+  }
+
+  function setPickerDueDate(dueDate) {
+    if (taskEdit) {
+      taskEdit.dueDate = dueDate;
+      return;
+    }
+
+    state.composerDueDate = dueDate;
+  }
+
+  function getPickerDueTime() {
+    return taskEdit ? taskEdit.dueTime : state.composerDueTime;
+  }
+
+  function setPickerDueTime(dueTime) {
+    if (taskEdit) {
+      taskEdit.dueTime = dueTime;
+      return;
+    }
+
+    state.composerDueTime = dueTime;
+  }
+
+  function getPickerReminders() {
+    return taskEdit ? taskEdit.reminders : state.composerReminders;
+  }
+
+  function setPickerReminders(taskReminders) {
+    if (taskEdit) {
+      taskEdit.reminders = taskReminders;
+      return;
+    }
+
+    state.composerReminders = taskReminders;
+  }
+
+  function getTaskEditEditorEl() {
+    return taskListEl.querySelector(".task-edit-editor");
+  }
+
+  function getActiveEditorEl() {
+    return (taskEdit && getTaskEditEditorEl()) || editorEl;
+  }
+
+  function focusActiveEditor() {
+    focusEditor(getActiveEditorEl());
+  }
+
+  function resetTemplateMenuPlacement() {
+    templateMenuEl.classList.remove("is-open-up", "is-open-down", "is-side-right", "is-side-left");
+    templateMenuEl.style.maxHeight = "";
+    templateOptionsEl.style.maxHeight = "";
+  }
+
+  function updateTemplateOptionsScrollArea() {
+    const visibleChildren = Array.from(templateMenuEl.children).filter((child) => !child.hidden);
+    const nonListChildren = visibleChildren.filter((child) => child !== templateOptionsEl);
+    const menuStyles = window.getComputedStyle(templateMenuEl);
+    const menuRowGap = parseFloat(menuStyles.rowGap || menuStyles.gap || "0") || 0;
+    const siblingHeights = nonListChildren.reduce(
+      (sum, child) => sum + child.getBoundingClientRect().height,
+      0
+    );
+    const availableHeight =
+      templateMenuEl.clientHeight -
+      siblingHeights -
+      menuRowGap * Math.max(0, visibleChildren.length - 1);
+
+    const optionStyles = window.getComputedStyle(templateOptionsEl);
+    const optionRowGap = parseFloat(optionStyles.rowGap || optionStyles.gap || "0") || 0;
+    const firstRow = templateOptionsEl.querySelector(".template-option-row");
+    const rowHeight = firstRow ? firstRow.getBoundingClientRect().height : 30;
+    const maxVisibleRows = 5;
+    const visibleRowCap =
+      rowHeight * maxVisibleRows + optionRowGap * Math.max(0, maxVisibleRows - 1);
+    const nextMaxHeight = Math.max(52, Math.floor(Math.min(availableHeight, visibleRowCap)));
+
+    templateOptionsEl.style.maxHeight = `${nextMaxHeight}px`;
+  }
+
+  function updateTemplateMenuPlacement() {
+    if (!templateMenuOpen) {
+      return;
+    }
+
+    resetTemplateMenuPlacement();
+
+    const viewportPadding = 10;
+    const toggleRect = templateToggleEl.getBoundingClientRect();
+    const menuRect = templateMenuEl.getBoundingClientRect();
+    const viewportWidth = window.innerWidth;
+    const viewportHeight = window.innerHeight;
+
+    const spaceBelow = viewportHeight - toggleRect.bottom - viewportPadding;
+    const spaceAbove = toggleRect.top - viewportPadding;
+    const spaceRight = viewportWidth - toggleRect.right - viewportPadding;
+    const spaceLeft = toggleRect.left - viewportPadding;
+
+    const menuHeight = menuRect.height;
+    const menuWidth = menuRect.width;
+
+    const canOpenRight = spaceRight >= Math.max(180, menuWidth * 0.72);
+    const canOpenLeft = spaceLeft >= Math.max(180, menuWidth * 0.72);
+    const canOpenBelow = spaceBelow >= Math.max(150, menuHeight * 0.55);
+    const canOpenAbove = spaceAbove >= Math.max(150, menuHeight * 0.55);
+
+    let maxHeight = Math.max(140, Math.min(320, spaceAbove));
+
+    if (!canOpenAbove && canOpenBelow) {
+      templateMenuEl.classList.add("is-open-down");
+      maxHeight = Math.max(140, Math.min(320, spaceBelow));
+    } else if (!canOpenAbove && !canOpenBelow && (canOpenRight || canOpenLeft)) {
+      if (canOpenRight) {
+        templateMenuEl.classList.add("is-side-right");
+      } else {
+        templateMenuEl.classList.add("is-side-left");
+      }
+      maxHeight = Math.max(140, Math.min(360, viewportHeight - toggleRect.top - viewportPadding));
+    } else if (!canOpenAbove && !canOpenBelow) {
+      maxHeight = Math.max(140, Math.min(320, viewportHeight - viewportPadding * 2));
+    }
+
+    templateMenuEl.style.maxHeight = `${Math.floor(maxHeight)}px`;
+    updateTemplateOptionsScrollArea();
+  }
+
+  function scheduleTemplateMenuPlacement() {
+    if (!templateMenuOpen) {
+      return;
+    }
+
+    if (placementRafId) {
+      window.cancelAnimationFrame(placementRafId);
+    }
+
+    placementRafId = window.requestAnimationFrame(() => {
+      placementRafId = 0;
+      updateTemplateMenuPlacement();
+    });
+  }
+
+  function setTemplateMenuOpen(isOpen) {
     templateMenuOpen = isOpen;
     templateMenuEl.hidden = !isOpen;
     templateToggleEl.setAttribute("aria-expanded", String(isOpen));
@@ -634,6 +2112,40 @@ function initApp() {
     filterToggleCaretEl.textContent = isOpen ? "▴" : "▾";
   }
 
+  function setPriorityMenuOpen(isOpen) {
+    priorityMenuOpen = isOpen;
+    priorityMenuEl.hidden = !isOpen;
+    priorityToggleEl.setAttribute("aria-expanded", String(isOpen));
+    priorityToggleCaretEl.textContent = isOpen ? "▾" : "▴";
+  }
+
+  function setRecurrenceMenuOpen(isOpen) {
+    recurrenceMenuOpen = isOpen;
+    recurrenceMenuEl.hidden = !isOpen;
+    recurrenceToggleEl.setAttribute("aria-expanded", String(isOpen));
+  }
+
+  function setProjectMenuOpen(isOpen) {
+    projectMenuOpen = isOpen;
+    projectMenuEl.hidden = !isOpen;
+    projectToggleEl.setAttribute("aria-expanded", String(isOpen));
+    projectToggleCaretEl.textContent = isOpen ? "▾" : "▴";
+  }
+
+  function setProjectViewMenuOpen(isOpen) {
+    projectViewMenuOpen = isOpen;
+    projectViewMenuEl.hidden = !isOpen;
+    projectViewToggleEl.setAttribute("aria-expanded", String(isOpen));
+    projectViewToggleCaretEl.textContent = isOpen ? "▴" : "▾";
+    if (!isOpen) {
+      hideProjectInput();
+      if (renamingProjectId) {
+        renamingProjectId = null;
+        renderProjectViewDropdown();
+      }
+    }
+  }
+
   function setDueDateViewMonthFromValue(isoDate = null) {
     const parsed = isoDate ? parseIsoDate(isoDate) : null;
     const source = parsed || new Date();
@@ -742,7 +2254,7 @@ function initApp() {
       0
     ).getDate();
 
-    const selectedDueDate = state.composerDueDate;
+    const selectedDueDate = getPickerDueDate();
     const todayIsoDate = toIsoDateFromLocalDate(new Date());
     const fragment = document.createDocumentFragment();
 
@@ -796,8 +2308,9 @@ function initApp() {
 
     if (isOpen) {
       closeDueDateHeaderMenus();
-      setDueDateViewMonthFromValue(state.composerDueDate);
+      setDueDateViewMonthFromValue(getPickerDueDate());
       renderDueDateCalendar();
+      renderDueTimeControls();
       return;
     }
 
@@ -806,54 +2319,131 @@ function initApp() {
 
   function renderDueDateControl() {
     if (document.activeElement !== dueDateInputEl) {
-      dueDateInputEl.value = state.composerDueDate ? formatDueDateInput(state.composerDueDate) : "";
+      dueDateInputEl.value = getPickerDueDate() ? formatDueDateInput(getPickerDueDate()) : "";
     }
 
+    const dueTime = getPickerDueDate() ? getPickerDueTime() : null;
+    dueDateTimeLabelEl.textContent = dueTime || "";
+    dueDateTimeLabelEl.hidden = !dueTime;
     dueDateToggleEl.setAttribute(
       "aria-label",
-      state.composerDueDate
-        ? `Open due date calendar. Current: ${formatDueDateInput(state.composerDueDate)}`
+      getPickerDueDate()
+        ? `Open due date calendar. Current: ${formatDueDateInput(getPickerDueDate())}${dueTime ? ` at ${dueTime}` : ""}`
         : "Open due date calendar"
     );
 
     if (dueDateMenuOpen) {
       renderDueDateCalendar();
+      renderDueTimeControls();
     }
   }
 
-  function commitDueDateInputValue(rawValue) {
-    const parsedValue = parseDueDateInput(rawValue);
-    if (parsedValue.status === "invalid") {
-      dueDateInputEl.setAttribute("aria-invalid", "true");
-      dueDateInputEl.value = state.composerDueDate ? formatDueDateInput(state.composerDueDate) : "";
-      return false;
+  function getReminderHint() {
+    if (!getPickerDueTime()) {
+      return "Set a time to add reminders.";
     }
 
-    state.composerDueDate = parsedValue.value;
-    dueDateInputEl.setAttribute("aria-invalid", "false");
-    dueDateInputEl.value = state.composerDueDate ? formatDueDateInput(state.composerDueDate) : "";
+    if (getPickerReminders().length === 0) {
+      return "";
+    }
 
-    if (state.composerDueDate) {
-      setDueDateViewMonthFromValue(state.composerDueDate);
+    const permission = reminders.getPermission();
+    if (permission === "denied") {
+      return "Notifications are blocked, so reminders only show here while TaskDoIt is open.";
     }
+    if (permission === "unsupported") {
+      return "This browser cannot show notifications, so reminders only show here while TaskDoIt is open.";
+    }
+    return "";
+  }
 
-    if (dueDateMenuOpen) {
-      renderDueDateCalendar();
+  function renderDueTimeControls() {
+    const dueTime = getPickerDueTime();
+    const selectedReminders = getPickerReminders();
+    if (document.activeElement !== dueDateTimeInputEl) {
+      dueDateTimeInputEl.value = dueTime || "";
     }
 
-    return true;
+    dueDateRemindersEl.querySelectorAll(".recurrence-day").forEach((reminderEl) => {
+      const isSelected = selectedReminders.includes(Number(reminderEl.dataset.reminderMinutes));
+      reminderEl.disabled = !dueTime;
+      reminderEl.classList.toggle("is-selected", isSelected);
+      reminderEl.setAttribute("aria-pressed", String(isSelected));
+    });
+
+    const hint = getReminderHint();
+    dueDateReminderHintEl.textContent = hint;
+    dueDateReminderHintEl.hidden = !hint;
   }
 
-  function renderFilterDropdown() {
-    const resolvedActiveFilter = resolveActiveFilter(state.activeFilter, state.templates);
-    const activeFilterValue = toFilterValue(resolvedActiveFilter);
+  function commitDueTimeInputValue() {
+    const dueTime = sanitizeDueTime(dueDateTimeInputEl.value);
+    // A time on its own means today, the same as picking "Today" first.
+    if (dueTime && !getPickerDueDate()) {
+      setPickerDueDate(toIsoDateFromLocalDate(new Date()));
+      dueDateInputEl.value = formatDueDateInput(getPickerDueDate());
+      dueDateInputEl.setAttribute("aria-invalid", "false");
+      setDueDateViewMonthFromValue(getPickerDueDate());
+    }
+    setPickerDueTime(dueTime);
+    if (!dueTime) {
+      setPickerReminders([]);
+    }
+    renderDueDateControl();
+  }
 
-    filterAllOptionEl.classList.toggle("is-selected", activeFilterValue === FILTER_VALUE_ALL);
-    filterNoneOptionEl.classList.toggle("is-selected", activeFilterValue === FILTER_VALUE_NONE);
+  function toggleDueDateReminder(minutes) {
+    const selectedReminders = getPickerReminders();
+    const isSelected = selectedReminders.includes(minutes);
+    setPickerReminders(
+      sanitizeReminders(
+        isSelected
+          ? selectedReminders.filter((candidate) => candidate !== minutes)
+          : [...selectedReminders, minutes]
+      )
+    );
+    renderDueTimeControls();
 
-    filterOptionsEl.innerHTML = "";
-    const fragment = document.createDocumentFragment();
-    state.templates.forEach((templateName) => {
+    // Browsers only show the permission prompt in response to a click, so it is asked for here.
+    if (!isSelected && reminders.getPermission() === "default") {
+      reminders.requestPermission().then(renderDueTimeControls);
+    }
+  }
+
+  function commitDueDateInputValue(rawValue) {
+    const parsedValue = parseDueDateInput(rawValue);
+    if (parsedValue.status === "invalid") {
+      dueDateInputEl.setAttribute("aria-invalid", "true");
+      dueDateInputEl.value = getPickerDueDate() ? formatDueDateInput(getPickerDueDate()) : "";
+      return false;
+    }
+
+    setPickerDueDate(parsedValue.value);
+    if (!parsedValue.value) {
+      setPickerDueTime(null);
+      setPickerReminders([]);
+    }
+    dueDateInputEl.setAttribute("aria-invalid", "false");
+    dueDateInputEl.value = getPickerDueDate() ? formatDueDateInput(getPickerDueDate()) : "";
+
+    if (getPickerDueDate()) {
+      setDueDateViewMonthFromValue(getPickerDueDate());
+    }
+
+    renderDueDateControl();
+    return true;
+  }
+
+  function renderFilterDropdown() {
+    const resolvedActiveFilter = resolveActiveFilter(state.activeFilter, state.templates);
+    const activeFilterValue = toFilterValue(resolvedActiveFilter);
+
+    filterAllOptionEl.classList.toggle("is-selected", activeFilterValue === FILTER_VALUE_ALL);
+    filterNoneOptionEl.classList.toggle("is-selected", activeFilterValue === FILTER_VALUE_NONE);
+
+    filterOptionsEl.innerHTML = "";
+    const fragment = document.createDocumentFragment();
+    state.templates.forEach((templateName) => {
       const row = document.createElement("div");
       row.className = "template-option-row";
 
@@ -885,6 +2475,209 @@ function initApp() {
     filterToggleEl.setAttribute("aria-label", `Filter tasks by template. Current: ${currentLabel}`);
   }
 
+  function renderProjectViewDropdown() {
+    const activeProject = findProject(state.projects, state.activeProject);
+    projectViewAllOptionEl.classList.toggle("is-selected", state.activeProject === PROJECT_VIEW_ALL);
+    projectViewNoneOptionEl.classList.toggle("is-selected", state.activeProject === PROJECT_VIEW_NONE);
+
+    projectViewOptionsEl.innerHTML = "";
+    const fragment = document.createDocumentFragment();
+    const archivedCount = state.projects.filter((project) => project.archived).length;
+    state.projects.forEach((project) => {
+      if (project.archived && !showArchivedProjects && project.id !== state.activeProject) {
+        return;
+      }
+
+      const row = document.createElement("div");
+      row.className = "template-option-row";
+      row.classList.toggle("is-archived", project.archived);
+
+      if (project.id === renamingProjectId) {
+        const renameForm = document.createElement("form");
+        renameForm.className = "template-add-form project-rename-form";
+        renameForm.dataset.projectValue = project.id;
+
+        const renameInput = document.createElement("input");
+        renameInput.className = "template-add-input project-rename-input";
+        renameInput.type = "text";
+        renameInput.maxLength = 40;
+        renameInput.autocomplete = "off";
+        renameInput.value = project.name;
+        renameInput.setAttribute("aria-label", `Rename project ${project.name}`);
+
+        renameForm.append(renameInput);
+        row.append(renameForm);
+        fragment.append(row);
+        return;
+      }
+
+      const optionButton = document.createElement("button");
+      optionButton.type = "button";
+      optionButton.className = "template-option template-option-main";
+      optionButton.dataset.action = "select-project-view";
+      optionButton.dataset.projectValue = project.id;
+      optionButton.textContent = project.archived ? `${project.name} (archived)` : project.name;
+      if (project.id === state.activeProject) {
+        optionButton.classList.add("is-selected");
+      }
+
+      const renameButton = document.createElement("button");
+      renameButton.type = "button";
+      renameButton.className = "template-delete";
+      renameButton.dataset.action = "start-rename-project";
+      renameButton.dataset.projectValue = project.id;
+      renameButton.setAttribute("aria-label", `Rename project ${project.name}`);
+      renameButton.textContent = "✎";
+
+      const archiveButton = document.createElement("button");
+      archiveButton.type = "button";
+      archiveButton.className = "template-delete";
+      archiveButton.dataset.action = "toggle-project-archived";
+      archiveButton.dataset.projectValue = project.id;
+      archiveButton.setAttribute(
+        "aria-label",
+        project.archived ? `Restore project ${project.name}` : `Archive project ${project.name}`
+      );
+      archiveButton.textContent = project.archived ? "↺" : "⊟";
+
+      const deleteButton = document.createElement("button");
+      deleteButton.type = "button";
+      deleteButton.className = "template-delete";
+      deleteButton.dataset.action = "delete-project";
+      deleteButton.dataset.projectValue = project.id;
+      deleteButton.setAttribute("aria-label", `Delete project ${project.name}`);
+      deleteButton.textContent = "×";
+
+      row.append(optionButton, renameButton, archiveButton, deleteButton);
+      fragment.append(row);
+    });
+
+    projectViewOptionsEl.append(fragment);
+    projectViewOptionsEl.hidden = projectViewOptionsEl.childElementCount === 0;
+    projectArchivedToggleEl.hidden = archivedCount === 0;
+    projectArchivedToggleEl.textContent = showArchivedProjects
+      ? "Hide archived"
+      : `Show archived (${archivedCount})`;
+
+    const currentLabel = activeProject
+      ? activeProject.name
+      : state.activeProject === PROJECT_VIEW_NONE
+        ? "No project"
+        : "All projects";
+    projectViewToggleLabelEl.textContent = currentLabel;
+    projectViewToggleEl.setAttribute("aria-label", `Choose project. Current: ${currentLabel}`);
+  }
+
+  function renderProjectDropdown() {
+    const selectedProjectId = getPickerProjectId();
+    const selectedProject = findProject(state.projects, selectedProjectId);
+    projectToggleLabelEl.textContent = selectedProject ? selectedProject.name : "No project";
+    projectToggleEl.setAttribute(
+      "aria-label",
+      `Choose project. Current: ${selectedProject ? selectedProject.name : "No project"}`
+    );
+    projectClearOptionEl.classList.toggle("is-selected", !selectedProject);
+
+    projectOptionsEl.innerHTML = "";
+    const fragment = document.createDocumentFragment();
+    state.projects.forEach((project) => {
+      if (project.archived && project.id !== selectedProjectId) {
+        return;
+      }
+
+      const row = document.createElement("div");
+      row.className = "template-option-row";
+
+      const optionButton = document.createElement("button");
+      optionButton.type = "button";
+      optionButton.className = "template-option template-option-main";
+      optionButton.dataset.action = "select-project";
+      optionButton.dataset.projectValue = project.id;
+      optionButton.textContent = project.name;
+      if (project.id === selectedProjectId) {
+        optionButton.classList.add("is-selected");
+      }
+
+      row.append(optionButton);
+      fragment.append(row);
+    });
+
+    projectOptionsEl.append(fragment);
+    projectOptionsEl.hidden = projectOptionsEl.childElementCount === 0;
+  }
+
+  function renderPriorityDropdown() {
+    const priority = getPickerPriority();
+    const label = priority ? `P${priority}` : "Priority";
+    priorityToggleLabelEl.textContent = label;
+    priorityToggleEl.dataset.priority = priority ? String(priority) : "";
+    priorityToggleEl.setAttribute(
+      "aria-label",
+      priority ? `Choose priority. Current: P${priority}` : "Choose priority"
+    );
+    priorityMenuEl.querySelectorAll("[data-action='select-priority']").forEach((optionEl) => {
+      optionEl.classList.toggle(
+        "is-selected",
+        optionEl.dataset.priorityValue === (priority ? String(priority) : "")
+      );
+    });
+  }
+
+  function renderSortToggle() {
+    const isPriorityOrder = state.sortMode === SORT_MODE_PRIORITY;
+    sortToggleEl.textContent = isPriorityOrder ? "Sort: Priority" : "Sort: Manual";
+    sortToggleEl.classList.toggle("is-active", isPriorityOrder);
+    sortToggleEl.setAttribute(
+      "aria-label",
+      isPriorityOrder ? "Order tasks by hand" : "Order tasks by priority, then due date"
+    );
+  }
+
+  function renderRecurrenceControl() {
+    const recurrence = getPickerRecurrence();
+    const recurrenceType = recurrence ? recurrence.type : "";
+    const label = recurrence ? describeRecurrence(recurrence) : "Repeat";
+    recurrenceToggleLabelEl.textContent = label;
+    recurrenceToggleEl.classList.toggle("is-active", Boolean(recurrence));
+    recurrenceToggleEl.setAttribute(
+      "aria-label",
+      recurrence ? `Set repeat. Current: ${label}` : "Set repeat"
+    );
+
+    recurrenceMenuEl.querySelectorAll("[data-action='select-recurrence']").forEach((optionEl) => {
+      optionEl.classList.toggle("is-selected", optionEl.dataset.recurrenceType === recurrenceType);
+    });
+
+    recurrenceWeeklyEl.hidden = recurrenceType !== "weekly";
+    recurrenceMonthlyEl.hidden = recurrenceType !== "monthly";
+    if (recurrenceType === "weekly") {
+      if (document.activeElement !== recurrenceIntervalEl) {
+        recurrenceIntervalEl.value = String(recurrence.interval);
+      }
+      recurrenceWeeklyEl.querySelectorAll(".recurrence-day").forEach((dayEl) => {
+        const isSelected = recurrence.days.includes(Number(dayEl.dataset.day));
+        dayEl.classList.toggle("is-selected", isSelected);
+        dayEl.setAttribute("aria-pressed", String(isSelected));
+      });
+    }
+    if (recurrenceType === "monthly" && document.activeElement !== recurrenceMonthDayEl) {
+      recurrenceMonthDayEl.value = String(recurrence.dayOfMonth);
+    }
+  }
+
+  function showProjectInput() {
+    projectAddTriggerEl.hidden = true;
+    projectAddFormEl.hidden = false;
+    projectAddInputEl.value = "";
+    projectAddInputEl.focus();
+  }
+
+  function hideProjectInput() {
+    projectAddFormEl.hidden = true;
+    projectAddTriggerEl.hidden = false;
+    projectAddInputEl.value = "";
+  }
+
   function showTemplateInput() {
     templateAddTriggerEl.hidden = true;
     templateAddFormEl.hidden = false;
@@ -893,501 +2686,3081 @@ function initApp() {
     scheduleTemplateMenuPlacement();
   }
 
-  function hideTemplateInput() {
-    templateAddFormEl.hidden = true;
-    templateAddTriggerEl.hidden = false;
-    templateAddInputEl.value = "";
-    scheduleTemplateMenuPlacement();
-  }
+  function hideTemplateInput() {
+    templateAddFormEl.hidden = true;
+    templateAddTriggerEl.hidden = false;
+    templateAddInputEl.value = "";
+    scheduleTemplateMenuPlacement();
+  }
+
+  function renderTemplateDropdown() {
+    templateToggleLabelEl.textContent = getPickerTemplate() || "No template";
+    templateClearOptionEl.classList.toggle("is-selected", !getPickerTemplate());
+
+    templateOptionsEl.innerHTML = "";
+    const fragment = document.createDocumentFragment();
+
+    state.templates.forEach((templateName) => {
+      const row = document.createElement("div");
+      row.className = "template-option-row";
+
+      const optionButton = document.createElement("button");
+      optionButton.type = "button";
+      optionButton.className = "template-option template-option-main";
+      if (getPickerTemplate() === templateName) {
+        optionButton.classList.add("is-selected");
+      }
+      optionButton.dataset.action = "select-template";
+      optionButton.dataset.templateValue = templateName;
+      optionButton.textContent = templateName;
+
+      const deleteButton = document.createElement("button");
+      deleteButton.type = "button";
+      deleteButton.className = "template-delete";
+      deleteButton.dataset.action = "delete-template";
+      deleteButton.dataset.templateValue = templateName;
+      deleteButton.setAttribute("aria-label", `Delete template ${templateName}`);
+      deleteButton.textContent = "×";
+
+      row.append(optionButton, deleteButton);
+      fragment.append(row);
+    });
+
+    templateOptionsEl.append(fragment);
+    scheduleTemplateMenuPlacement();
+  }
+
+  function renderApp() {
+    const isCompletedView = state.activeView === VIEW_MODE_COMPLETED;
+    const isCalendarView = state.activeView === VIEW_MODE_CALENDAR;
+    const visibleTasks = getVisibleTasks(state);
+    if (taskEdit && (isCalendarView || !visibleTasks.some((task) => task.id === taskEdit.taskId))) {
+      taskEdit = null;
+    }
+    // Calendar chips cannot be selected, so bulk selection ends when the calendar opens.
+    if (isCalendarView) {
+      selectionMode = false;
+      selectedTaskIds.clear();
+    }
+
+    const editEditorEl = taskEdit ? getTaskEditEditorEl() : null;
+    const editEditorFocused = Boolean(editEditorEl) && document.activeElement === editEditorEl;
+    // A focused card keeps focus across re-renders, or hands it to the card now in its place.
+    const focusedCardEl = document.activeElement?.matches?.(".task-item:not(.is-editing)")
+      ? document.activeElement
+      : null;
+    const focusedCardIndex = focusedCardEl ? getTaskCards().indexOf(focusedCardEl) : -1;
+    const focusedSelectTaskId = document.activeElement?.matches?.(".task-select")
+      ? document.activeElement.closest(".task-item").dataset.taskId
+      : null;
+    // Checklist fields are rebuilt too, so the one being typed in gets its focus and caret back.
+    const focusedSubtaskEl = document.activeElement?.matches?.(
+      ".task-edit-subtask-input, .task-edit-subtask-new"
+    )
+      ? document.activeElement
+      : null;
+    if (editEditorEl) {
+      taskEdit.html = getEditorContent(editEditorEl).html;
+    }
+
+    renderAgendaViewControls();
+    completedTabToggleEl.classList.toggle("is-active", isCompletedView);
+    completedTabToggleEl.textContent = isCompletedView ? "Tasks" : "Completed";
+    completedTabToggleEl.setAttribute(
+      "aria-label",
+      isCompletedView ? "Back to active tasks" : "Open completed tasks"
+    );
+    calendarViewToggleEl.classList.toggle("is-active", isCalendarView);
+    calendarViewToggleEl.textContent = isCalendarView ? "List" : "Calendar";
+    calendarViewToggleEl.setAttribute("aria-pressed", String(isCalendarView));
+    selectionToggleEl.hidden = isCalendarView;
+    // Selection only ever covers cards on screen, so bulk actions never reach hidden tasks.
+    const visibleTaskIds = new Set(visibleTasks.map((task) => task.id));
+    selectedTaskIds.forEach((taskId) => {
+      if (!visibleTaskIds.has(taskId)) {
+        selectedTaskIds.delete(taskId);
+      }
+    });
+    renderSelectionToolbar(isCompletedView);
+    renderRescheduleOverdueToggle(isCompletedView);
+    // New tasks are only added from the main list, where they appear in place.
+    const isComposerHidden = state.activeView !== VIEW_MODE_TASKS;
+    composerEl.classList.toggle("is-hidden", isComposerHidden || isSelectionActive());
+    if (isComposerHidden && !taskEdit && templateMenuOpen) {
+      setTemplateMenuOpen(false);
+    }
+    if (isComposerHidden && !taskEdit && dueDateMenuOpen) {
+      setDueDateMenuOpen(false);
+    }
+
+    renderTemplateDropdown();
+    renderProjectDropdown();
+    renderProjectViewDropdown();
+    renderFilterDropdown();
+    renderDueDateControl();
+    renderRecurrenceControl();
+    renderPriorityDropdown();
+    renderSortToggle();
+
+    const emptyState = getEmptyState(state, visibleTasks);
+    const projectNames =
+      state.activeProject === PROJECT_VIEW_ALL
+        ? new Map(state.projects.map((project) => [project.id, project.name]))
+        : null;
+    taskListEl.hidden = isCalendarView;
+    taskCalendarEl.hidden = !isCalendarView;
+    if (isCalendarView) {
+      renderTaskCalendarView(visibleTasks);
+    } else {
+      renderTasks(taskListEl, visibleTasks, {
+        emptyState,
+        editingTask: taskEdit,
+        projectNames,
+        reorderable: canReorderTasks(),
+        searchTerms: getSearchTerms(state.searchQuery),
+        selectedTaskIds: isSelectionActive() ? selectedTaskIds : null,
+        getGroupLabel: state.activeView === VIEW_MODE_UPCOMING ? getUpcomingGroupLabel() : null,
+      });
+    }
+    mountTaskEditControls();
+    if (editEditorFocused) {
+      focusEditor(getTaskEditEditorEl(), { atEnd: true });
+    } else if (focusedCardEl && !focusedCardEl.isConnected) {
+      const taskCards = getTaskCards();
+      const nextCardEl =
+        getTaskCardEl(focusedCardEl.dataset.taskId) ||
+        taskCards[Math.min(focusedCardIndex, taskCards.length - 1)];
+      nextCardEl?.focus();
+    } else if (focusedSelectTaskId) {
+      getTaskCardEl(focusedSelectTaskId)?.querySelector(".task-select")?.focus();
+    } else if (focusedSubtaskEl && !focusedSubtaskEl.isConnected) {
+      restoreSubtaskFieldFocus(focusedSubtaskEl);
+    }
+    scheduleOverdueRefresh();
+  }
+
+  function restoreSubtaskFieldFocus(previousEl) {
+    const fieldEl = previousEl.matches(".task-edit-subtask-new")
+      ? taskListEl.querySelector(".task-edit-subtask-new")
+      : Array.from(taskListEl.querySelectorAll(".task-edit-subtask-input")).find(
+          (inputEl) => inputEl.dataset.subtaskId === previousEl.dataset.subtaskId
+        );
+    if (!fieldEl) {
+      return;
+    }
+
+    fieldEl.focus();
+    fieldEl.setSelectionRange(previousEl.selectionStart, previousEl.selectionEnd);
+  }
+
+  // Overdue styling and the agenda views change at midnight and whenever a due time passes,
+  // so the list is redrawn at the next of those moments.
+  function scheduleOverdueRefresh() {
+    window.clearTimeout(overdueRefreshTimerId);
+    const now = Date.now();
+    const nextMidnight = addDays(new Date(), 1).getTime();
+    const nextDueAt = state.tasks.reduce((earliest, task) => {
+      const dueMoment = task.completed ? null : getDueMoment(task.dueDate, task.dueTime);
+      return dueMoment && dueMoment.getTime() > now ? Math.min(earliest, dueMoment.getTime()) : earliest;
+    }, nextMidnight);
+    overdueRefreshTimerId = window.setTimeout(renderApp, nextDueAt - now + 1000);
+  }
+
+  function mountTaskEditControls() {
+    const editControlsEl = taskEdit ? taskListEl.querySelector("[data-edit-controls]") : null;
+    const pickerHostEl = editControlsEl || formatToolbarEl;
+    if (templatePickerEl.parentElement !== pickerHostEl) {
+      pickerHostEl.append(
+        templatePickerEl,
+        projectPickerEl,
+        priorityPickerEl,
+        dueDatePickerEl,
+        recurrencePickerEl
+      );
+    }
+
+    const editEditorEl = getTaskEditEditorEl();
+    if (editEditorEl) {
+      initEditor(editEditorEl);
+      editEditorEl.addEventListener("keydown", handleTaskEditKeydown);
+    }
+  }
+
+  function closePickerMenus() {
+    if (templateMenuOpen) {
+      setTemplateMenuOpen(false);
+    }
+    if (projectMenuOpen) {
+      setProjectMenuOpen(false);
+    }
+    if (priorityMenuOpen) {
+      setPriorityMenuOpen(false);
+    }
+    if (dueDateMenuOpen) {
+      setDueDateMenuOpen(false);
+    }
+    if (recurrenceMenuOpen) {
+      setRecurrenceMenuOpen(false);
+    }
+  }
+
+  function getTaskCards() {
+    return Array.from(taskListEl.querySelectorAll(".task-item"));
+  }
+
+  function getTaskCardEl(taskId) {
+    return getTaskCards().find((card) => card.dataset.taskId === taskId) || null;
+  }
+
+  function focusTaskCard(taskId) {
+    const taskCard = getTaskCardEl(taskId);
+    if (taskCard) {
+      taskCard.focus();
+    }
+  }
+
+  function canReorderTasks() {
+    return state.sortMode === SORT_MODE_MANUAL && !taskEdit && !isDateOrderedView(state.activeView);
+  }
+
+  function reorderTask(taskId, targetTaskId, placeAfter) {
+    if (taskId === targetTaskId) {
+      return;
+    }
+
+    recordHistory("Reorder task");
+    state.tasks = moveTaskInOrder(state.tasks, taskId, targetTaskId, placeAfter);
+    saveState(state);
+    renderApp();
+  }
+
+  function moveTaskByOffset(taskId, offset) {
+    if (!canReorderTasks()) {
+      showToast(
+        isDateOrderedView(state.activeView)
+          ? "This view is ordered by due date"
+          : "Switch to manual sort to reorder tasks"
+      );
+      return;
+    }
+
+    const visibleTasks = getVisibleTasks(state);
+    const index = visibleTasks.findIndex((task) => task.id === taskId);
+    const targetTask = index === -1 ? null : visibleTasks[index + offset];
+    if (!targetTask) {
+      return;
+    }
+
+    reorderTask(taskId, targetTask.id, offset > 0);
+    focusTaskCard(taskId);
+  }
+
+  function clearTaskDropMarkers() {
+    taskListEl.querySelectorAll(".is-drop-before, .is-drop-after").forEach((card) => {
+      card.classList.remove("is-drop-before", "is-drop-after");
+    });
+  }
+
+  function updateTaskDropTarget(clientY) {
+    const cards = Array.from(taskListEl.querySelectorAll(".task-item")).filter(
+      (card) => card !== taskDrag.cardEl
+    );
+    const targetCard = cards.find((card) => {
+      const rect = card.getBoundingClientRect();
+      return clientY < rect.top + rect.height / 2;
+    });
+
+    clearTaskDropMarkers();
+    if (targetCard) {
+      taskDrag.targetId = targetCard.dataset.taskId;
+      taskDrag.placeAfter = false;
+      targetCard.classList.add("is-drop-before");
+    } else if (cards.length > 0) {
+      const lastCard = cards[cards.length - 1];
+      taskDrag.targetId = lastCard.dataset.taskId;
+      taskDrag.placeAfter = true;
+      lastCard.classList.add("is-drop-after");
+    }
+  }
+
+  function handleTaskListPointerDown(event) {
+    const handleEl = event.target.closest("[data-action='drag-task']");
+    if (!handleEl || taskDrag || (event.pointerType === "mouse" && event.button !== 0)) {
+      return;
+    }
+
+    const taskCard = handleEl.closest(".task-item");
+    if (!taskCard) {
+      return;
+    }
+
+    event.preventDefault();
+    handleEl.setPointerCapture(event.pointerId);
+    taskDrag = {
+      taskId: taskCard.dataset.taskId,
+      pointerId: event.pointerId,
+      cardEl: taskCard,
+      startY: event.clientY,
+      startScrollTop: taskListEl.scrollTop,
+      targetId: null,
+      placeAfter: false,
+    };
+    taskCard.classList.add("is-dragging");
+  }
+
+  function handleTaskListPointerMove(event) {
+    if (!taskDrag || event.pointerId !== taskDrag.pointerId) {
+      return;
+    }
+
+    event.preventDefault();
+    const listRect = taskListEl.getBoundingClientRect();
+    if (event.clientY < listRect.top + TASK_DRAG_SCROLL_EDGE) {
+      taskListEl.scrollTop -= TASK_DRAG_SCROLL_STEP;
+    } else if (event.clientY > listRect.bottom - TASK_DRAG_SCROLL_EDGE) {
+      taskListEl.scrollTop += TASK_DRAG_SCROLL_STEP;
+    }
+
+    const offsetY = event.clientY - taskDrag.startY + taskListEl.scrollTop - taskDrag.startScrollTop;
+    taskDrag.cardEl.style.transform = `translateY(${offsetY}px)`;
+    updateTaskDropTarget(event.clientY);
+  }
+
+  function finishTaskDrag(event, shouldDrop) {
+    if (!taskDrag || event.pointerId !== taskDrag.pointerId) {
+      return;
+    }
+
+    const { taskId, cardEl, targetId, placeAfter } = taskDrag;
+    taskDrag = null;
+    cardEl.classList.remove("is-dragging");
+    cardEl.style.transform = "";
+    clearTaskDropMarkers();
+    if (shouldDrop && targetId) {
+      reorderTask(taskId, targetId, placeAfter);
+    }
+  }
+
+  function handleTaskListPointerUp(event) {
+    finishTaskDrag(event, true);
+  }
+
+  function handleTaskListPointerCancel(event) {
+    finishTaskDrag(event, false);
+  }
+
+  function startTaskEdit(taskId) {
+    const task = state.tasks.find((candidate) => candidate.id === taskId);
+    if (!task || pendingCompletionTimers.has(taskId)) {
+      return;
+    }
+
+    if (taskEdit) {
+      if (taskEdit.taskId === taskId) {
+        return;
+      }
+      closePickerMenus();
+      if (!commitTaskEdit()) {
+        return;
+      }
+    }
+
+    closePickerMenus();
+    if (filterMenuOpen) {
+      setFilterMenuOpen(false);
+    }
+    if (projectViewMenuOpen) {
+      setProjectViewMenuOpen(false);
+    }
+    taskEdit = {
+      taskId,
+      html: task.contentHtml,
+      template: task.template,
+      projectId: task.projectId,
+      dueDate: task.dueDate,
+      dueTime: task.dueTime,
+      reminders: task.reminders,
+      subtasks: task.subtasks.map((subtask) => ({ ...subtask })),
+      newSubtaskText: "",
+      autoComplete: task.autoComplete,
+      recurrence: task.recurrence,
+      priority: task.priority,
+    };
+    dueDateInputEl.setAttribute("aria-invalid", "false");
+    renderApp();
+    focusEditor(getTaskEditEditorEl(), { atEnd: true });
+  }
+
+  function commitTaskEdit() {
+    const editEditorEl = getTaskEditEditorEl();
+    if (!taskEdit || !editEditorEl) {
+      return false;
+    }
+
+    if (isEditorEmpty(editEditorEl)) {
+      focusEditor(editEditorEl);
+      return false;
+    }
+
+    const { html } = getEditorContent(editEditorEl);
+    const newSubtaskInputEl = taskListEl.querySelector(".task-edit-subtask-new");
+    if (newSubtaskInputEl) {
+      addDraftSubtask(newSubtaskInputEl.value);
+    }
+    const subtasks = taskEdit.subtasks
+      .map((subtask) => ({ ...subtask, text: sanitizeSubtaskText(subtask.text) }))
+      .filter((subtask) => subtask.text.length > 0);
+    const taskIndex = state.tasks.findIndex((task) => task.id === taskEdit.taskId);
+    if (taskIndex === -1) {
+      taskEdit = null;
+      return true;
+    }
+
+    const task = state.tasks[taskIndex];
+    const editedTask = {
+      ...task,
+      contentHtml: html,
+      template: taskEdit.template,
+      projectId: taskEdit.projectId,
+      dueDate: taskEdit.dueDate,
+      rescheduleCount: getRescheduleCount(task, taskEdit.dueDate),
+      dueTime: taskEdit.dueDate ? taskEdit.dueTime : null,
+      reminders: taskEdit.dueDate && taskEdit.dueTime ? taskEdit.reminders : [],
+      subtasks,
+      autoComplete: taskEdit.autoComplete,
+      recurrence: task.completed ? null : taskEdit.recurrence,
+      priority: taskEdit.priority,
+    };
+    taskEdit = null;
+    // Closing the editor without a change leaves nothing to undo.
+    if (isSameTask(editedTask, task)) {
+      return true;
+    }
+
+    recordHistory("Task edited");
+    state.tasks[taskIndex] = editedTask;
+    saveState(state);
+    return true;
+  }
+
+  function addDraftSubtask(value) {
+    const text = sanitizeSubtaskText(value);
+    if (!taskEdit || !text) {
+      return false;
+    }
+
+    taskEdit.subtasks.push(createSubtask(text));
+    taskEdit.newSubtaskText = "";
+    return true;
+  }
+
+  function focusNewSubtaskInput() {
+    const newSubtaskInputEl = taskListEl.querySelector(".task-edit-subtask-new");
+    if (newSubtaskInputEl) {
+      newSubtaskInputEl.focus();
+    }
+  }
+
+  function toggleSubtask(taskIndex, subtaskId) {
+    const task = state.tasks[taskIndex];
+    const subtask = task.subtasks.find((candidate) => candidate.id === subtaskId);
+    if (!subtask) {
+      return;
+    }
+
+    const now = new Date().toISOString();
+    const completed = !subtask.completed;
+    const subtasks = task.subtasks.map((candidate) =>
+      candidate.id === subtaskId
+        ? { ...candidate, completed, completedAt: completed ? now : null }
+        : candidate
+    );
+    const allDone = subtasks.every((candidate) => candidate.completed);
+    let parentCompleted = task.completed;
+    if (task.autoComplete) {
+      parentCompleted = completed ? allDone || task.completed : false;
+    }
+    const parentChanged = parentCompleted !== task.completed;
+    let label = completed ? "Checklist item done" : "Checklist item reopened";
+    if (parentChanged) {
+      label = parentCompleted ? "Task completed" : getReopenLabel(state.tasks, task);
+    }
+
+    recordHistory(label);
+    state.tasks[taskIndex] = { ...task, subtasks };
+    if (parentChanged) {
+      state.tasks = parentCompleted
+        ? completeTaskInList(state.tasks, task.id, now)
+        : reopenTaskInList(state.tasks, task.id);
+    }
+    saveState(state);
+    renderApp();
+    if (parentChanged) {
+      showUndoToast(label);
+    }
+  }
+
+  function saveTaskEdit() {
+    if (!taskEdit) {
+      return;
+    }
+
+    const { taskId } = taskEdit;
+    closePickerMenus();
+    if (!commitTaskEdit()) {
+      return;
+    }
+
+    dueDateInputEl.setAttribute("aria-invalid", "false");
+    renderApp();
+    focusTaskCard(taskId);
+  }
+
+  function cancelTaskEdit() {
+    if (!taskEdit) {
+      return;
+    }
+
+    const { taskId } = taskEdit;
+    closePickerMenus();
+    taskEdit = null;
+    dueDateInputEl.setAttribute("aria-invalid", "false");
+    renderApp();
+    focusTaskCard(taskId);
+  }
+
+  function handleTaskEditKeydown(event) {
+    if (event.key === "Escape") {
+      if (
+        templateMenuOpen ||
+        projectMenuOpen ||
+        priorityMenuOpen ||
+        dueDateMenuOpen ||
+        recurrenceMenuOpen
+      ) {
+        return;
+      }
+
+      event.preventDefault();
+      cancelTaskEdit();
+      return;
+    }
+
+    if (event.key !== "Enter") {
+      return;
+    }
+
+    if (event.shiftKey || event.altKey || event.ctrlKey || event.metaKey) {
+      return;
+    }
+
+    event.preventDefault();
+    saveTaskEdit();
+  }
+
+  function handleTaskListDoubleClick(event) {
+    const taskCard = event.target.closest(".task-item");
+    if (
+      !taskCard ||
+      taskCard.classList.contains("is-editing") ||
+      event.target.closest("button, input")
+    ) {
+      return;
+    }
+
+    startTaskEdit(taskCard.dataset.taskId);
+  }
+
+  function handleTaskEditFieldKeydown(event) {
+    if (event.key === "Escape") {
+      event.preventDefault();
+      cancelTaskEdit();
+      return;
+    }
+
+    if (event.key !== "Enter") {
+      return;
+    }
+
+    event.preventDefault();
+    if (event.target.matches(".task-edit-subtask-new")) {
+      if (addDraftSubtask(event.target.value)) {
+        renderApp();
+        focusNewSubtaskInput();
+      }
+      return;
+    }
+
+    focusNewSubtaskInput();
+  }
+
+  function handleTaskListInput(event) {
+    if (taskEdit && event.target.matches(".task-edit-subtask-new")) {
+      taskEdit.newSubtaskText = event.target.value;
+      return;
+    }
+
+    if (!taskEdit || !event.target.matches(".task-edit-subtask-input")) {
+      return;
+    }
+
+    const subtask = taskEdit.subtasks.find(
+      (candidate) => candidate.id === event.target.dataset.subtaskId
+    );
+    if (subtask) {
+      subtask.text = event.target.value;
+    }
+  }
+
+  function handleTaskListChange(event) {
+    if (taskEdit && event.target.matches(".task-edit-auto-complete-input")) {
+      taskEdit.autoComplete = event.target.checked;
+    }
+  }
+
+  function startDueDateField(inputEl, dueDate) {
+    dueDateFieldStart = { inputEl, dueDate };
+  }
+
+  function takeDueDateFieldChoice(inputEl) {
+    if (dueDateFieldStart?.inputEl !== inputEl) {
+      return null;
+    }
+
+    const dueDate = getPickedDueDate(inputEl.value);
+    if (!dueDate || dueDate === dueDateFieldStart.dueDate) {
+      return null;
+    }
+
+    dueDateFieldStart.dueDate = dueDate;
+    return dueDate;
+  }
+
+  function commitRescheduleInput(inputEl) {
+    const dueDate = takeDueDateFieldChoice(inputEl);
+    const taskId = inputEl.closest(".task-item")?.dataset.taskId;
+    if (dueDate && taskId) {
+      rescheduleTaskById(taskId, dueDate);
+    }
+  }
+
+  function handleTaskListFocusIn(event) {
+    if (event.target.matches(".task-reschedule-input")) {
+      const taskId = event.target.closest(".task-item")?.dataset.taskId;
+      startDueDateField(event.target, state.tasks.find((task) => task.id === taskId)?.dueDate || null);
+    }
+  }
+
+  function handleTaskListFocusOut(event) {
+    if (event.target.matches(".task-reschedule-input")) {
+      commitRescheduleInput(event.target);
+    }
+  }
+
+  function handleTaskListKeydown(event) {
+    if (taskEdit && event.target.matches(".task-edit-subtask-input, .task-edit-subtask-new")) {
+      handleTaskEditFieldKeydown(event);
+      return;
+    }
+
+    if (event.key === "Enter" && event.target.matches(".task-reschedule-input")) {
+      event.preventDefault();
+      commitRescheduleInput(event.target);
+      return;
+    }
+
+    if (event.altKey && (event.key === "ArrowUp" || event.key === "ArrowDown")) {
+      const taskCard = event.target.closest(".task-item");
+      if (taskCard && event.target === taskCard && !taskCard.classList.contains("is-editing")) {
+        event.preventDefault();
+        moveTaskByOffset(taskCard.dataset.taskId, event.key === "ArrowUp" ? -1 : 1);
+      }
+      return;
+    }
+
+    if (event.key !== "Enter" && event.key !== "F2") {
+      return;
+    }
+
+    const taskCard = event.target.closest(".task-item");
+    if (!taskCard || event.target !== taskCard || taskCard.classList.contains("is-editing")) {
+      return;
+    }
+
+    event.preventDefault();
+    startTaskEdit(taskCard.dataset.taskId);
+  }
+
+  function handleAddTask() {
+    if (state.activeView !== VIEW_MODE_TASKS) {
+      return;
+    }
+
+    if (isEditorEmpty(editorEl)) {
+      focusEditor(editorEl);
+      return;
+    }
+
+    const quickAdd = parseQuickAdd(getEditorContent(editorEl).html);
+    if (getTextFromHTML(quickAdd.html).length === 0) {
+      focusEditor(editorEl);
+      return;
+    }
+
+    const template = quickAdd.template
+      ? pushUniqueTemplate(state.templates, quickAdd.template)
+      : state.composerTemplate;
+    const task = createTask(quickAdd.html, {
+      template,
+      dueDate: quickAdd.dueDate || state.composerDueDate,
+      dueTime: state.composerDueTime,
+      reminders: state.composerReminders,
+      projectId: state.composerProjectId,
+      recurrence: state.composerRecurrence,
+      priority: state.composerPriority,
+      order: getNextTaskOrder(state.tasks),
+    });
+    state.tasks.push(task);
+    state.composerDueDate = null;
+    state.composerDueTime = null;
+    state.composerReminders = [];
+    state.composerRecurrence = null;
+    state.composerPriority = null;
+    dueDateInputEl.setAttribute("aria-invalid", "false");
+    saveState(state);
+
+    renderApp();
+    clearEditor(editorEl);
+    renderQuickAddPreview();
+    focusEditor(editorEl);
+  }
+
+  function renderQuickAddPreview() {
+    const { html } = getEditorContent(editorEl);
+    const quickAdd = parseQuickAdd(html);
+    quickAddPreviewEl.innerHTML = "";
+
+    if (quickAdd.template) {
+      const templateName = sanitizeTemplateName(quickAdd.template);
+      const existingTemplate = findTemplateValue(state.templates, templateName);
+      const chip = document.createElement("span");
+      chip.className = "quick-add-chip";
+      chip.textContent = existingTemplate ? `#${existingTemplate}` : `#${templateName} · new`;
+      chip.title = existingTemplate ? "Template" : "New template";
+      quickAddPreviewEl.append(chip);
+    }
+
+    if (quickAdd.dueDate) {
+      const chip = document.createElement("span");
+      chip.className = "quick-add-chip quick-add-chip-date";
+      chip.textContent = `Due ${formatDueDateInput(quickAdd.dueDate)}`;
+      chip.title = "Due date";
+      quickAddPreviewEl.append(chip);
+    }
+
+    quickAddPreviewEl.hidden = quickAddPreviewEl.childElementCount === 0;
+  }
+
+  function handleEditorKeydown(event) {
+    if (event.key !== "Enter") {
+      return;
+    }
+
+    if (event.shiftKey || event.altKey || event.ctrlKey || event.metaKey) {
+      return;
+    }
+
+    event.preventDefault();
+    handleAddTask();
+  }
+
+  function handleTaskActionClick(event) {
+    if (handleTaskSelectionClick(event)) {
+      return;
+    }
+
+    const actionEl = event.target.closest("[data-action]");
+    if (!actionEl) {
+      return;
+    }
+
+    const taskCard = actionEl.closest(".task-item");
+    if (!taskCard) {
+      return;
+    }
+
+    const taskId = taskCard.dataset.taskId;
+    if (!taskId) {
+      return;
+    }
+
+    const taskIndex = state.tasks.findIndex((task) => task.id === taskId);
+    if (taskIndex === -1) {
+      return;
+    }
+
+    const action = actionEl.dataset.action;
+    if (action === "save-task-edit") {
+      saveTaskEdit();
+      return;
+    }
+
+    if (action === "cancel-task-edit") {
+      cancelTaskEdit();
+      return;
+    }
+
+    if (action === "remove-subtask") {
+      if (taskEdit && taskEdit.taskId === taskId) {
+        taskEdit.subtasks = taskEdit.subtasks.filter(
+          (subtask) => subtask.id !== actionEl.dataset.subtaskId
+        );
+        renderApp();
+        focusNewSubtaskInput();
+      }
+      return;
+    }
+
+    if (action === "toggle-subtask") {
+      toggleSubtask(taskIndex, actionEl.dataset.subtaskId);
+      return;
+    }
+
+    if (action === "toggle-complete") {
+      toggleTaskCompletion(taskId);
+      return;
+    }
+
+    if (action === "reschedule-task") {
+      const days = Number(actionEl.dataset.rescheduleDays);
+      if (Number.isInteger(days)) {
+        rescheduleTaskById(taskId, toIsoDateFromLocalDate(addDays(new Date(), days)));
+      }
+      return;
+    }
+
+    if (action === "delete-task") {
+      deleteTask(taskId);
+    }
+  }
+
+  function isSelectionActive() {
+    return selectionMode || selectedTaskIds.size > 0;
+  }
+
+  function toggleTaskSelection(taskId) {
+    if (selectedTaskIds.has(taskId)) {
+      selectedTaskIds.delete(taskId);
+    } else {
+      selectedTaskIds.add(taskId);
+    }
+    selectionAnchorId = taskId;
+    renderApp();
+  }
+
+  // Shift-click adds every card between the last toggled one and the clicked one, as in a file list.
+  function selectTaskRange(taskId) {
+    const visibleTaskIds = getVisibleTasks(state).map((task) => task.id);
+    const anchorIndex = visibleTaskIds.indexOf(selectionAnchorId);
+    const targetIndex = visibleTaskIds.indexOf(taskId);
+    if (anchorIndex === -1 || targetIndex === -1) {
+      toggleTaskSelection(taskId);
+      return;
+    }
+
+    visibleTaskIds
+      .slice(Math.min(anchorIndex, targetIndex), Math.max(anchorIndex, targetIndex) + 1)
+      .forEach((visibleTaskId) => selectedTaskIds.add(visibleTaskId));
+    renderApp();
+  }
+
+  function selectAllVisibleTasks() {
+    getVisibleTasks(state).forEach((task) => selectedTaskIds.add(task.id));
+    renderApp();
+  }
+
+  function clearSelection() {
+    selectionMode = false;
+    selectedTaskIds.clear();
+    selectionAnchorId = null;
+    renderApp();
+  }
+
+  function handleSelectionToggleClick() {
+    if (isSelectionActive()) {
+      clearSelection();
+      return;
+    }
+
+    selectionMode = true;
+    renderApp();
+  }
+
+  function handleTaskSelectionClick(event) {
+    const taskCard = event.target.closest(".task-item:not(.is-editing)");
+    if (!taskCard) {
+      return false;
+    }
+
+    const isCheckboxClick = Boolean(event.target.closest("[data-action='select-task']"));
+    const isModifierClick = event.shiftKey || event.ctrlKey || event.metaKey;
+    if (!isCheckboxClick && (!isModifierClick || event.target.closest("button, a, input"))) {
+      return false;
+    }
+
+    if (!isCheckboxClick) {
+      event.preventDefault();
+    }
+    if (event.shiftKey && selectionAnchorId) {
+      selectTaskRange(taskCard.dataset.taskId);
+    } else {
+      toggleTaskSelection(taskCard.dataset.taskId);
+    }
+    return true;
+  }
+
+  function applyToTasks(taskIds, label, updateTasks) {
+    if (taskIds.size === 0) {
+      return;
+    }
+
+    recordHistory(label);
+    if (taskEdit && taskIds.has(taskEdit.taskId)) {
+      closePickerMenus();
+      taskEdit = null;
+    }
+    taskIds.forEach((taskId) => {
+      const pendingTimerId = pendingCompletionTimers.get(taskId);
+      if (pendingTimerId) {
+        window.clearTimeout(pendingTimerId);
+        pendingCompletionTimers.delete(taskId);
+      }
+    });
+    state.tasks = updateTasks(state.tasks, taskIds);
+    saveState(state);
+    renderApp();
+    showUndoToast(label);
+  }
+
+  function applyToSelectedTasks(label, updateTasks) {
+    applyToTasks(new Set(selectedTaskIds), label, updateTasks);
+  }
+
+  function rescheduleTasks(taskIds, dueDate, label) {
+    applyToTasks(taskIds, label, (tasks) =>
+      tasks.map((task) => (taskIds.has(task.id) ? rescheduleTask(task, dueDate) : task))
+    );
+  }
+
+  function rescheduleTaskById(taskId, dueDate) {
+    rescheduleTasks(new Set([taskId]), dueDate, `Task moved to ${formatDueDateInput(dueDate)}`);
+  }
+
+  function getOverdueTasks() {
+    return state.tasks.filter((task) => isTaskOverdue(task));
+  }
+
+  function rescheduleOverdueTasks(dueDate) {
+    const overdueTasks = getOverdueTasks();
+    if (overdueTasks.length === 0) {
+      showToast("No tasks are overdue");
+      return;
+    }
+
+    const countLabel = `${overdueTasks.length} overdue ${overdueTasks.length === 1 ? "task" : "tasks"}`;
+    rescheduleTasks(
+      new Set(overdueTasks.map((task) => task.id)),
+      dueDate,
+      `${countLabel} moved to ${formatDueDateInput(dueDate)}`
+    );
+  }
+
+  function renderRescheduleOverdueToggle(isCompletedView) {
+    const overdueCount = isCompletedView ? 0 : getOverdueTasks().length;
+    rescheduleOverdueToggleEl.hidden = overdueCount === 0;
+    rescheduleOverdueToggleEl.textContent = `Reschedule ${overdueCount} overdue`;
+    rescheduleOverdueToggleEl.setAttribute(
+      "aria-label",
+      `Reschedule ${overdueCount} overdue ${overdueCount === 1 ? "task" : "tasks"}`
+    );
+  }
+
+  function handleRescheduleOverdueClick() {
+    openCommandPalette(RESCHEDULE_OVERDUE_QUERY);
+  }
+
+  function getSelectedCountLabel() {
+    const count = selectedTaskIds.size;
+    return `${count} ${count === 1 ? "task" : "tasks"}`;
+  }
+
+  function updateSelectedTasks(label, changes) {
+    applyToSelectedTasks(label, (tasks, taskIds) =>
+      tasks.map((task) => (taskIds.has(task.id) ? { ...task, ...changes } : task))
+    );
+  }
+
+  function completeSelectedTasks() {
+    const completedAt = new Date().toISOString();
+    applyToSelectedTasks(`${getSelectedCountLabel()} completed`, (tasks, taskIds) =>
+      Array.from(taskIds).reduce(
+        (nextTasks, taskId) => completeTaskInList(nextTasks, taskId, completedAt),
+        tasks
+      )
+    );
+  }
+
+  function reopenSelectedTasks() {
+    applyToSelectedTasks(`${getSelectedCountLabel()} reopened`, (tasks, taskIds) =>
+      Array.from(taskIds).reduce((nextTasks, taskId) => reopenTaskInList(nextTasks, taskId), tasks)
+    );
+  }
+
+  function deleteSelectedTasks() {
+    applyToSelectedTasks(`${getSelectedCountLabel()} deleted`, (tasks, taskIds) =>
+      tasks.filter((task) => !taskIds.has(task.id))
+    );
+  }
+
+  function setSelectedTasksDueDate(dueDate) {
+    const label = dueDate
+      ? `${getSelectedCountLabel()} due ${formatDueDateInput(dueDate)}`
+      : `Due date cleared on ${getSelectedCountLabel()}`;
+    if (!dueDate) {
+      updateSelectedTasks(label, { dueDate, dueTime: null, reminders: [] });
+      return;
+    }
+
+    applyToSelectedTasks(label, (tasks, taskIds) =>
+      tasks.map((task) => (taskIds.has(task.id) ? rescheduleTask(task, dueDate) : task))
+    );
+  }
+
+  function renderSelectionToolbar(isCompletedView) {
+    const isActive = isSelectionActive();
+    selectionToggleEl.classList.toggle("is-active", isActive);
+    selectionToggleEl.textContent = isActive ? "Done" : "Select";
+    selectionToggleEl.setAttribute("aria-pressed", String(isActive));
+    selectionToolbarEl.hidden = !isActive;
+    if (!isActive) {
+      return;
+    }
+
+    const count = selectedTaskIds.size;
+    selectionCountEl.textContent = `${count} selected`;
+    selectionToolbarEl.querySelector("[data-action='bulk-complete']").hidden = isCompletedView;
+    selectionToolbarEl.querySelector("[data-action='bulk-reopen']").hidden = !isCompletedView;
+    selectionToolbarEl.querySelectorAll("[data-action^='bulk-']").forEach((controlEl) => {
+      controlEl.disabled = count === 0;
+    });
+
+    renderSelectOptions(selectionTemplateSelectEl, [
+      ["", "Choose…"],
+      ...getFilterOptions(state.templates).slice(1),
+    ]);
+    renderSelectOptions(selectionProjectSelectEl, [
+      ["", "Choose…"],
+      [PROJECT_VIEW_NONE, "No project"],
+      ...state.projects.filter((project) => !project.archived).map((project) => [project.id, project.name]),
+    ]);
+    if (document.activeElement !== selectionDueInputEl) {
+      selectionDueInputEl.value = "";
+    }
+  }
+
+  function renderSelectOptions(selectEl, options) {
+    selectEl.innerHTML = "";
+    options.forEach(([value, label]) => {
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = label;
+      selectEl.append(option);
+    });
+  }
+
+  function handleSelectionToolbarClick(event) {
+    const actionEl = event.target.closest("button[data-action]");
+    if (!actionEl) {
+      return;
+    }
+
+    const action = actionEl.dataset.action;
+    if (action === "bulk-complete") {
+      completeSelectedTasks();
+    } else if (action === "bulk-reopen") {
+      reopenSelectedTasks();
+    } else if (action === "bulk-delete") {
+      deleteSelectedTasks();
+    } else if (action === "bulk-clear-due-date") {
+      setSelectedTasksDueDate(null);
+    } else if (action === "select-all-tasks") {
+      selectAllVisibleTasks();
+    } else if (action === "clear-selection") {
+      clearSelection();
+      selectionToggleEl.focus();
+    }
+  }
+
+  function handleSelectionToolbarChange(event) {
+    if (event.target === selectionTemplateSelectEl && selectionTemplateSelectEl.value) {
+      const template = fromFilterValue(selectionTemplateSelectEl.value, state.templates);
+      const templateName = template === FILTER_MODE_NONE ? null : template;
+      updateSelectedTasks(
+        templateName
+          ? `${getSelectedCountLabel()} set to ${templateName}`
+          : `Template cleared on ${getSelectedCountLabel()}`,
+        { template: templateName }
+      );
+      selectionTemplateSelectEl.focus();
+      return;
+    }
+
+    if (event.target === selectionProjectSelectEl && selectionProjectSelectEl.value) {
+      const project = findProject(state.projects, selectionProjectSelectEl.value);
+      updateSelectedTasks(
+        `${getSelectedCountLabel()} moved to ${project ? project.name : "No project"}`,
+        { projectId: project ? project.id : null }
+      );
+      selectionProjectSelectEl.focus();
+      return;
+    }
+  }
+
+  function commitSelectionDueInput() {
+    const dueDate = takeDueDateFieldChoice(selectionDueInputEl);
+    if (dueDate) {
+      setSelectedTasksDueDate(dueDate);
+    }
+  }
+
+  function handleSelectionToolbarFocusIn(event) {
+    if (event.target === selectionDueInputEl) {
+      startDueDateField(selectionDueInputEl, getPickedDueDate(selectionDueInputEl.value));
+    }
+  }
+
+  function handleSelectionToolbarFocusOut(event) {
+    if (event.target === selectionDueInputEl) {
+      commitSelectionDueInput();
+      selectionDueInputEl.value = "";
+    }
+  }
+
+  function handleSelectionToolbarKeydown(event) {
+    if (event.key === "Enter" && event.target === selectionDueInputEl) {
+      event.preventDefault();
+      commitSelectionDueInput();
+      return;
+    }
+
+    if (event.key !== "Escape") {
+      return;
+    }
+
+    event.preventDefault();
+    event.stopPropagation();
+    clearSelection();
+    selectionToggleEl.focus();
+  }
+
+  function toggleTaskCompletion(taskId) {
+    const taskIndex = state.tasks.findIndex((task) => task.id === taskId);
+    if (taskIndex === -1) {
+      return;
+    }
+
+    const existingTask = state.tasks[taskIndex];
+    const taskCard = getTaskCardEl(taskId);
+    if (
+      !existingTask.completed &&
+      state.activeView !== VIEW_MODE_COMPLETED &&
+      taskCard &&
+      !taskCard.classList.contains("is-completing")
+    ) {
+      const toggleButton = taskCard.querySelector(".task-toggle");
+      if (toggleButton) {
+        toggleButton.classList.add("is-complete");
+        toggleButton.textContent = "✓";
+        toggleButton.setAttribute("aria-pressed", "true");
+        toggleButton.setAttribute("aria-label", "Mark as incomplete");
+      }
+
+      recordHistory("Task completed");
+      showUndoToast("Task completed");
+      taskCard.classList.add("is-completing");
+      const timerId = window.setTimeout(() => {
+        pendingCompletionTimers.delete(taskId);
+        if (!state.tasks.some((task) => task.id === taskId)) {
+          return;
+        }
+
+        state.tasks = completeTaskInList(state.tasks, taskId, new Date().toISOString());
+        saveState(state);
+        renderApp();
+      }, TASK_COMPLETE_ANIMATION_MS);
+      pendingCompletionTimers.set(taskId, timerId);
+      return;
+    }
+
+    const completed = !existingTask.completed;
+    const label = completed ? "Task completed" : getReopenLabel(state.tasks, existingTask);
+    recordHistory(label);
+    showUndoToast(label);
+    state.tasks = completed
+      ? completeTaskInList(state.tasks, taskId, new Date().toISOString())
+      : reopenTaskInList(state.tasks, taskId);
+    saveState(state);
+    renderApp();
+  }
+
+  function deleteTask(taskId) {
+    const taskIndex = state.tasks.findIndex((task) => task.id === taskId);
+    if (taskIndex === -1) {
+      return;
+    }
+
+    recordHistory("Task deleted");
+    if (taskEdit && taskEdit.taskId === taskId) {
+      closePickerMenus();
+      taskEdit = null;
+    }
+    const pendingTimerId = pendingCompletionTimers.get(taskId);
+    if (pendingTimerId) {
+      window.clearTimeout(pendingTimerId);
+      pendingCompletionTimers.delete(taskId);
+    }
+    state.tasks.splice(taskIndex, 1);
+    saveState(state);
+    renderApp();
+    showUndoToast("Task deleted");
+  }
+
+  function selectFilter(filterValue) {
+    state.activeFilter = fromFilterValue(filterValue, state.templates);
+    saveState(state);
+    renderApp();
+  }
+
+  function handleFilterMenuAction(event) {
+    const actionEl = event.target.closest("[data-action='select-filter']");
+    if (!actionEl) {
+      return;
+    }
+
+    selectFilter(actionEl.dataset.filterValue || FILTER_VALUE_ALL);
+    setFilterMenuOpen(false);
+    filterToggleEl.focus();
+  }
+
+  function handleFilterToggleClick() {
+    closePickerMenus();
+    if (projectViewMenuOpen) {
+      setProjectViewMenuOpen(false);
+    }
+    setFilterMenuOpen(!filterMenuOpen);
+  }
+
+  function handleDueDateToggleClick() {
+    if (priorityMenuOpen) {
+      setPriorityMenuOpen(false);
+    }
+    if (recurrenceMenuOpen) {
+      setRecurrenceMenuOpen(false);
+    }
+    if (templateMenuOpen) {
+      setTemplateMenuOpen(false);
+    }
+    if (projectMenuOpen) {
+      setProjectMenuOpen(false);
+    }
+    if (filterMenuOpen) {
+      setFilterMenuOpen(false);
+    }
+    if (projectViewMenuOpen) {
+      setProjectViewMenuOpen(false);
+    }
+
+    const shouldOpen = !dueDateMenuOpen;
+    setDueDateMenuOpen(shouldOpen);
+    if (shouldOpen) {
+      dueDateInputEl.focus();
+    }
+  }
+
+  function handleDueDateInputFocus() {
+    if (priorityMenuOpen) {
+      setPriorityMenuOpen(false);
+    }
+    if (recurrenceMenuOpen) {
+      setRecurrenceMenuOpen(false);
+    }
+    if (templateMenuOpen) {
+      setTemplateMenuOpen(false);
+    }
+    if (projectMenuOpen) {
+      setProjectMenuOpen(false);
+    }
+    if (filterMenuOpen) {
+      setFilterMenuOpen(false);
+    }
+    if (projectViewMenuOpen) {
+      setProjectViewMenuOpen(false);
+    }
+    setDueDateMenuOpen(true);
+  }
+
+  function handleDueDatePickerPointerStart() {
+    dueDatePickerPointerActive = true;
+  }
+
+  function handleDueDatePickerPointerEnd() {
+    dueDatePickerPointerActive = false;
+  }
+
+  function handleDueDateInputBlur(event) {
+    const nextFocusedEl = event.relatedTarget;
+    if (
+      (nextFocusedEl && dueDatePickerEl.contains(nextFocusedEl)) ||
+      dueDatePickerPointerActive
+    ) {
+      return;
+    }
+    commitDueDateInputValue(dueDateInputEl.value);
+    renderDueDateControl();
+  }
+
+  function handleDueDateInputKeydown(event) {
+    if (event.key === "Enter") {
+      event.preventDefault();
+      commitDueDateInputValue(dueDateInputEl.value);
+      setDueDateMenuOpen(false);
+      focusActiveEditor();
+      return;
+    }
+
+    if (event.key === "ArrowDown") {
+      event.preventDefault();
+      setDueDateMenuOpen(true);
+      return;
+    }
+
+    if (event.key === "Escape") {
+      event.preventDefault();
+      setDueDateMenuOpen(false);
+      dueDateInputEl.value = getPickerDueDate() ? formatDueDateInput(getPickerDueDate()) : "";
+      dueDateInputEl.setAttribute("aria-invalid", "false");
+      focusActiveEditor();
+    }
+  }
+
+  function handleDueDateMenuAction(event) {
+    const actionEl = event.target.closest("[data-action]");
+    if (!actionEl) {
+      return;
+    }
+
+    const action = actionEl.dataset.action;
+    if (action === "due-date-toggle-month-menu") {
+      setDueDateMonthMenuOpen(!dueDateMonthMenuOpen);
+      return;
+    }
+
+    if (action === "due-date-toggle-year-menu") {
+      setDueDateYearMenuOpen(!dueDateYearMenuOpen);
+      return;
+    }
+
+    if (action === "due-date-select-month") {
+      const month = Number(actionEl.dataset.monthValue);
+      if (!Number.isInteger(month) || month < 0 || month > 11) {
+        return;
+      }
+      dueDateViewDate = new Date(dueDateViewDate.getFullYear(), month, 1);
+      setDueDateMonthMenuOpen(false);
+      renderDueDateCalendar();
+      return;
+    }
+
+    if (action === "due-date-select-year") {
+      const year = Number(actionEl.dataset.yearValue);
+      if (!Number.isInteger(year) || year < 1 || year > 9999) {
+        return;
+      }
+      dueDateViewDate = new Date(year, dueDateViewDate.getMonth(), 1);
+      setDueDateYearMenuOpen(false);
+      renderDueDateCalendar();
+      return;
+    }
+
+    if (dueDateMonthMenuOpen || dueDateYearMenuOpen) {
+      closeDueDateHeaderMenus();
+    }
+
+    if (action === "due-date-prev-month" || action === "due-date-next-month") {
+      const monthOffset = action === "due-date-prev-month" ? -1 : 1;
+      dueDateViewDate = new Date(
+        dueDateViewDate.getFullYear(),
+        dueDateViewDate.getMonth() + monthOffset,
+        1
+      );
+      renderDueDateCalendar();
+      return;
+    }
+
+    if (action === "due-date-toggle-reminder") {
+      toggleDueDateReminder(Number(actionEl.dataset.reminderMinutes));
+      return;
+    }
+
+    if (action === "due-date-today") {
+      setPickerDueDate(toIsoDateFromLocalDate(new Date()));
+      dueDateInputEl.value = formatDueDateInput(getPickerDueDate());
+      dueDateInputEl.setAttribute("aria-invalid", "false");
+      setDueDateViewMonthFromValue(getPickerDueDate());
+      setDueDateMenuOpen(false);
+      renderDueDateControl();
+      focusActiveEditor();
+      return;
+    }
+
+    if (action === "due-date-select") {
+      const selectedDueDate = normalizeDueDate(actionEl.dataset.dueDateValue);
+      if (!selectedDueDate) {
+        return;
+      }
+      setPickerDueDate(selectedDueDate);
+      dueDateInputEl.value = formatDueDateInput(getPickerDueDate());
+      dueDateInputEl.setAttribute("aria-invalid", "false");
+      setDueDateMenuOpen(false);
+      renderDueDateControl();
+      focusActiveEditor();
+    }
+  }
+
+  function handleSearchInput() {
+    state.searchQuery = searchInputEl.value;
+    renderApp();
+  }
+
+  function handleSearchKeydown(event) {
+    if (event.key !== "Escape" || !searchInputEl.value) {
+      return;
+    }
+
+    event.preventDefault();
+    event.stopPropagation();
+    searchInputEl.value = "";
+    handleSearchInput();
+  }
+
+  function setActiveView(activeView) {
+    state.activeView = activeView;
+    saveState(state);
+    renderApp();
+
+    if (state.activeView === VIEW_MODE_TASKS) {
+      focusEditor(editorEl);
+      return;
+    }
+
+    editorEl.blur();
+  }
+
+  function handleCompletedTabToggle() {
+    setActiveView(state.activeView === VIEW_MODE_COMPLETED ? VIEW_MODE_TASKS : VIEW_MODE_COMPLETED);
+  }
+
+  function getUpcomingGroupLabel() {
+    const todayIsoDate = toIsoDateFromLocalDate(new Date());
+    return (task) => formatAgendaDateLabel(task.dueDate, todayIsoDate);
+  }
+
+  function renderAgendaViewControls() {
+    agendaViewControlsEl.querySelectorAll("[data-view]").forEach((buttonEl) => {
+      const view = buttonEl.dataset.view;
+      const label = AGENDA_VIEW_LABELS[view];
+      const count = getTasksForView(state, view).filter((task) =>
+        taskMatchesTemplateFilter(task, state.activeFilter)
+      ).length;
+      buttonEl.textContent = label;
+      if (count > 0) {
+        const countEl = document.createElement("span");
+        countEl.className = "agenda-view-count";
+        countEl.textContent = String(count);
+        buttonEl.append(countEl);
+      }
+      buttonEl.setAttribute("aria-pressed", String(state.activeView === view));
+      buttonEl.setAttribute("aria-label", `${label}: ${count} ${count === 1 ? "task" : "tasks"}`);
+    });
+  }
+
+  // Pressing the active agenda view again goes back to the full list, like the Completed toggle.
+  function handleAgendaViewClick(event) {
+    const buttonEl = event.target.closest("[data-view]");
+    if (!buttonEl) {
+      return;
+    }
+
+    const view = buttonEl.dataset.view;
+    setActiveView(state.activeView === view ? VIEW_MODE_TASKS : view);
+  }
+
+  function handleCalendarViewToggle() {
+    setActiveView(state.activeView === VIEW_MODE_CALENDAR ? VIEW_MODE_TASKS : VIEW_MODE_CALENDAR);
+  }
+
+  function renderTaskCalendarView(tasks) {
+    // Moving a chip with the keyboard re-renders the grid, so focus follows the chip to its new day.
+    const focusedChipTaskId = document.activeElement?.matches?.(".task-calendar-chip")
+      ? document.activeElement.dataset.taskId
+      : null;
+    const previousDraftInputEl = taskCalendarGridEl.querySelector(".task-calendar-input");
+    const viewYear = calendarViewDate.getFullYear();
+    renderSelectOptions(
+      taskCalendarMonthSelectEl,
+      DUE_DATE_MONTH_NAMES.map((monthName, monthIndex) => [String(monthIndex), monthName])
+    );
+    taskCalendarMonthSelectEl.value = String(calendarViewDate.getMonth());
+    renderSelectOptions(
+      taskCalendarYearSelectEl,
+      Array.from({ length: DUE_DATE_YEAR_RANGE * 2 + 1 }, (_, index) => {
+        const year = String(viewYear - DUE_DATE_YEAR_RANGE + index);
+        return [year, year];
+      })
+    );
+    taskCalendarYearSelectEl.value = String(viewYear);
+
+    renderTaskCalendar(taskCalendarGridEl, tasks, {
+      viewDate: calendarViewDate,
+      todayIsoDate: toIsoDateFromLocalDate(new Date()),
+      expandedDate: calendarExpandedDate,
+      draft: calendarDraft,
+    });
+    const draftInputEl = taskCalendarGridEl.querySelector(".task-calendar-input");
+    if (draftInputEl) {
+      draftInputEl.focus();
+      if (previousDraftInputEl?.dataset.dueDate === draftInputEl.dataset.dueDate) {
+        draftInputEl.setSelectionRange(previousDraftInputEl.selectionStart, previousDraftInputEl.selectionEnd);
+      }
+    } else if (focusedChipTaskId) {
+      Array.from(taskCalendarGridEl.querySelectorAll(".task-calendar-chip"))
+        .find((chipEl) => chipEl.dataset.taskId === focusedChipTaskId)
+        ?.focus();
+    }
+  }
+
+  function setCalendarViewDate(year, month) {
+    calendarViewDate = new Date(year, month, 1);
+    calendarExpandedDate = null;
+    calendarDraft = null;
+    renderApp();
+  }
+
+  function showCalendarDay(isoDate) {
+    const date = parseIsoDate(isoDate);
+    if (date.getFullYear() !== calendarViewDate.getFullYear() || date.getMonth() !== calendarViewDate.getMonth()) {
+      calendarViewDate = new Date(date.getFullYear(), date.getMonth(), 1);
+    }
+  }
+
+  function moveCalendarTask(taskId, dueDate) {
+    const task = state.tasks.find((candidate) => candidate.id === taskId);
+    if (!task || task.dueDate === dueDate) {
+      return;
+    }
+
+    // A chip moved into a neighbouring month takes the calendar with it, so it stays in view.
+    showCalendarDay(dueDate);
+    rescheduleTaskById(taskId, dueDate);
+  }
+
+  // Returns false when nothing but quick-add tokens was typed, which would make a blank task.
+  function saveCalendarDraft(inputEl) {
+    // Quick-add syntax still works here; an explicit date in the text wins over the clicked day.
+    const quickAdd = parseQuickAdd(getHTMLFromText(inputEl.value.trim()));
+    if (getTextFromHTML(quickAdd.html).length === 0) {
+      return false;
+    }
+
+    const template = quickAdd.template
+      ? pushUniqueTemplate(state.templates, quickAdd.template)
+      : state.composerTemplate;
+    state.tasks.push(
+      createTask(quickAdd.html, {
+        template,
+        dueDate: quickAdd.dueDate || inputEl.dataset.dueDate,
+        projectId: state.composerProjectId,
+        order: getNextTaskOrder(state.tasks),
+      })
+    );
+    saveState(state);
+    return true;
+  }
+
+  function closeCalendarDraft(inputEl) {
+    saveCalendarDraft(inputEl);
+    calendarDraft = null;
+    renderApp();
+  }
+
+  function handleTaskCalendarClick(event) {
+    if (suppressCalendarClick || event.target.closest(".task-calendar-input")) {
+      return;
+    }
+
+    const actionEl = event.target.closest("[data-action]");
+    if (!actionEl) {
+      return;
+    }
+
+    const action = actionEl.dataset.action;
+    if (action === "calendar-prev-month" || action === "calendar-next-month") {
+      const monthOffset = action === "calendar-prev-month" ? -1 : 1;
+      setCalendarViewDate(calendarViewDate.getFullYear(), calendarViewDate.getMonth() + monthOffset);
+      return;
+    }
+
+    if (action === "calendar-today") {
+      const today = new Date();
+      setCalendarViewDate(today.getFullYear(), today.getMonth());
+      return;
+    }
+
+    if (action === "calendar-toggle-day") {
+      calendarExpandedDate =
+        calendarExpandedDate === actionEl.dataset.dueDate ? null : actionEl.dataset.dueDate;
+      renderApp();
+      return;
+    }
+
+    if (action === "calendar-open-task") {
+      revealTask(actionEl.dataset.taskId);
+      return;
+    }
+
+    if (action === "calendar-add-task") {
+      calendarDraft = { dueDate: actionEl.dataset.dueDate, text: "" };
+      showCalendarDay(calendarDraft.dueDate);
+      renderApp();
+    }
+  }
+
+  function handleTaskCalendarChange(event) {
+    if (event.target === taskCalendarMonthSelectEl || event.target === taskCalendarYearSelectEl) {
+      setCalendarViewDate(
+        Number(taskCalendarYearSelectEl.value),
+        Number(taskCalendarMonthSelectEl.value)
+      );
+    }
+  }
+
+  function handleTaskCalendarInput(event) {
+    if (calendarDraft && event.target.matches(".task-calendar-input")) {
+      calendarDraft.text = event.target.value;
+    }
+  }
+
+  function handleTaskCalendarKeydown(event) {
+    if (event.target.matches(".task-calendar-input")) {
+      if (event.key === "Enter") {
+        event.preventDefault();
+        if (saveCalendarDraft(event.target)) {
+          calendarDraft = null;
+          renderApp();
+        }
+      } else if (event.key === "Escape") {
+        event.preventDefault();
+        event.stopPropagation();
+        calendarDraft = null;
+        renderApp();
+      }
+      return;
+    }
+
+    const chipEl = event.target.closest(".task-calendar-chip");
+    const dayOffset = CALENDAR_MOVE_KEYS[event.key];
+    if (!chipEl || !event.altKey || !dayOffset) {
+      return;
+    }
+
+    event.preventDefault();
+    const task = state.tasks.find((candidate) => candidate.id === chipEl.dataset.taskId);
+    if (task) {
+      moveCalendarTask(task.id, toIsoDateFromLocalDate(addDays(parseIsoDate(task.dueDate), dayOffset)));
+    }
+  }
+
+  // Leaving the new-task field keeps what was typed instead of dropping it.
+  function handleTaskCalendarFocusOut(event) {
+    if (
+      event.target.matches(".task-calendar-input") &&
+      calendarDraft?.dueDate === event.target.dataset.dueDate
+    ) {
+      closeCalendarDraft(event.target);
+    }
+  }
+
+  function getCalendarDropDate(clientX, clientY) {
+    const dayEl = document.elementFromPoint(clientX, clientY)?.closest(".task-calendar-day");
+    return dayEl && taskCalendarGridEl.contains(dayEl) ? dayEl.dataset.dueDate : null;
+  }
+
+  function setCalendarDropTarget(dueDate) {
+    taskCalendarGridEl.querySelectorAll(".task-calendar-day").forEach((dayEl) => {
+      dayEl.classList.toggle("is-drop-target", dayEl.dataset.dueDate === dueDate);
+    });
+  }
+
+  function handleTaskCalendarPointerDown(event) {
+    const draftInputEl = taskCalendarGridEl.querySelector(".task-calendar-input");
+    if (calendarDraft && draftInputEl && event.target !== draftInputEl) {
+      // Redrawing now would replace the pressed day or chip before its click or drag, so the draft
+      // is saved here and the grid is redrawn once the press is over.
+      saveCalendarDraft(draftInputEl);
+      calendarDraft = null;
+      redrawCalendarAfterPress = true;
+    }
+
+    const chipEl = event.target.closest(".task-calendar-chip");
+    if (!chipEl || calendarDrag || (event.pointerType === "mouse" && event.button !== 0)) {
+      return;
+    }
+
+    calendarDrag = {
+      taskId: chipEl.dataset.taskId,
+      pointerId: event.pointerId,
+      chipEl,
+      startX: event.clientX,
+      startY: event.clientY,
+      isDragging: false,
+      targetDate: null,
+    };
+  }
+
+  function handleTaskCalendarPointerMove(event) {
+    if (!calendarDrag || event.pointerId !== calendarDrag.pointerId) {
+      return;
+    }
+
+    const offsetX = event.clientX - calendarDrag.startX;
+    const offsetY = event.clientY - calendarDrag.startY;
+    if (!calendarDrag.isDragging) {
+      if (Math.hypot(offsetX, offsetY) < CALENDAR_DRAG_THRESHOLD) {
+        return;
+      }
+      calendarDrag.isDragging = true;
+      calendarDrag.chipEl.setPointerCapture(event.pointerId);
+      calendarDrag.chipEl.classList.add("is-dragging");
+    }
+
+    event.preventDefault();
+    calendarDrag.chipEl.style.transform = `translate(${offsetX}px, ${offsetY}px)`;
+    calendarDrag.targetDate = getCalendarDropDate(event.clientX, event.clientY);
+    setCalendarDropTarget(calendarDrag.targetDate);
+  }
+
+  function finishCalendarDrag(event, shouldDrop) {
+    if (!calendarDrag || event.pointerId !== calendarDrag.pointerId) {
+      return;
+    }
+
+    const { taskId, chipEl, isDragging, targetDate } = calendarDrag;
+    calendarDrag = null;
+    if (!isDragging) {
+      return;
+    }
+
+    suppressCalendarClick = true;
+    window.setTimeout(() => {
+      suppressCalendarClick = false;
+    });
+    chipEl.classList.remove("is-dragging");
+    chipEl.style.transform = "";
+    setCalendarDropTarget(null);
+    if (shouldDrop && targetDate) {
+      moveCalendarTask(taskId, targetDate);
+    }
+  }
+
+  // The click that ends a press comes after pointerup, so the redraw waits for it.
+  function redrawCalendarAfterPressIfNeeded() {
+    if (redrawCalendarAfterPress) {
+      redrawCalendarAfterPress = false;
+      window.setTimeout(renderApp);
+    }
+  }
+
+  function handleTaskCalendarPointerUp(event) {
+    finishCalendarDrag(event, true);
+    redrawCalendarAfterPressIfNeeded();
+  }
+
+  function handleTaskCalendarPointerCancel(event) {
+    finishCalendarDrag(event, false);
+    redrawCalendarAfterPressIfNeeded();
+  }
+
+  function selectProjectView(projectValue) {
+    state.activeProject = resolveActiveProject(projectValue, state.projects);
+    state.composerProjectId = resolveComposerProject(state.activeProject, state.projects);
+    saveState(state);
+    renderApp();
+  }
+
+  function handleProjectViewToggleClick() {
+    closePickerMenus();
+    if (filterMenuOpen) {
+      setFilterMenuOpen(false);
+    }
+    setProjectViewMenuOpen(!projectViewMenuOpen);
+  }
+
+  function handleProjectViewMenuAction(event) {
+    const actionEl = event.target.closest("[data-action]");
+    if (!actionEl) {
+      return;
+    }
+
+    const action = actionEl.dataset.action;
+    const projectValue = actionEl.dataset.projectValue || "";
+    if (action === "select-project-view") {
+      selectProjectView(projectValue);
+      setProjectViewMenuOpen(false);
+      projectViewToggleEl.focus();
+      return;
+    }
+
+    if (action === "start-add-project") {
+      showProjectInput();
+      return;
+    }
+
+    if (action === "toggle-archived-projects") {
+      showArchivedProjects = !showArchivedProjects;
+      renderProjectViewDropdown();
+      return;
+    }
+
+    const project = findProject(state.projects, projectValue);
+    if (!project) {
+      return;
+    }
+
+    if (action === "start-rename-project") {
+      renamingProjectId = project.id;
+      renderProjectViewDropdown();
+      const renameInputEl = projectViewOptionsEl.querySelector(".project-rename-input");
+      if (renameInputEl) {
+        renameInputEl.focus();
+        renameInputEl.select();
+      }
+      return;
+    }
+
+    if (action === "toggle-project-archived") {
+      const archived = !project.archived;
+      state.projects = state.projects.map((existingProject) =>
+        existingProject.id === project.id ? { ...existingProject, archived } : existingProject
+      );
+      if (archived && state.activeProject === project.id) {
+        state.activeProject = PROJECT_VIEW_ALL;
+      }
+      state.composerProjectId = resolveComposerProject(state.composerProjectId, state.projects);
+      saveState(state);
+      renderApp();
+      showToast(archived ? `Project ${project.name} archived` : `Project ${project.name} restored`);
+      return;
+    }
+
+    if (action === "delete-project") {
+      recordHistory(`Project ${project.name} deleted`);
+      deleteProjectFromState(state, project.id);
+      if (taskEdit && taskEdit.projectId === project.id) {
+        taskEdit.projectId = null;
+      }
+      saveState(state);
+      renderApp();
+      showUndoToast(`Project ${project.name} deleted`);
+    }
+  }
+
+  function addProjectFromInput() {
+    const projectName = sanitizeProjectName(projectAddInputEl.value);
+    if (!projectName) {
+      projectAddInputEl.focus();
+      return;
+    }
+
+    let project = findProjectByName(state.projects, projectName);
+    if (!project) {
+      project = createProject(projectName);
+      state.projects.push(project);
+    }
+
+    selectProjectView(project.id);
+    setProjectViewMenuOpen(false);
+    projectViewToggleEl.focus();
+  }
+
+  function renameProject(projectId, value) {
+    const renameInputEl = projectViewOptionsEl.querySelector(".project-rename-input");
+    const projectName = sanitizeProjectName(value);
+    const duplicate = findProjectByName(state.projects, projectName);
+    if (!projectName || (duplicate && duplicate.id !== projectId)) {
+      if (renameInputEl) {
+        renameInputEl.setAttribute("aria-invalid", "true");
+        renameInputEl.focus();
+      }
+      return;
+    }
+
+    state.projects = state.projects.map((project) =>
+      project.id === projectId ? { ...project, name: projectName } : project
+    );
+    renamingProjectId = null;
+    saveState(state);
+    renderApp();
+    projectViewToggleEl.focus();
+  }
+
+  function handleProjectViewMenuSubmit(event) {
+    event.preventDefault();
+    if (event.target === projectAddFormEl) {
+      addProjectFromInput();
+      return;
+    }
+
+    const renameFormEl = event.target.closest(".project-rename-form");
+    const renameInputEl = renameFormEl?.querySelector(".project-rename-input");
+    if (!renameFormEl || !renameInputEl) {
+      return;
+    }
+
+    renameProject(renameFormEl.dataset.projectValue, renameInputEl.value);
+  }
+
+  function handleProjectToggleClick() {
+    if (priorityMenuOpen) {
+      setPriorityMenuOpen(false);
+    }
+    if (recurrenceMenuOpen) {
+      setRecurrenceMenuOpen(false);
+    }
+    if (templateMenuOpen) {
+      setTemplateMenuOpen(false);
+    }
+    if (dueDateMenuOpen) {
+      setDueDateMenuOpen(false);
+    }
+    if (filterMenuOpen) {
+      setFilterMenuOpen(false);
+    }
+    if (projectViewMenuOpen) {
+      setProjectViewMenuOpen(false);
+    }
+    setProjectMenuOpen(!projectMenuOpen);
+  }
+
+  function handleProjectMenuAction(event) {
+    const actionEl = event.target.closest("[data-action='select-project']");
+    if (!actionEl) {
+      return;
+    }
+
+    const project = findProject(state.projects, actionEl.dataset.projectValue);
+    setPickerProjectId(project ? project.id : null);
+    renderApp();
+    setProjectMenuOpen(false);
+    focusActiveEditor();
+  }
+
+  function handlePriorityToggleClick() {
+    const shouldOpen = !priorityMenuOpen;
+    closePickerMenus();
+    if (filterMenuOpen) {
+      setFilterMenuOpen(false);
+    }
+    if (projectViewMenuOpen) {
+      setProjectViewMenuOpen(false);
+    }
+    setPriorityMenuOpen(shouldOpen);
+  }
+
+  function handlePriorityMenuAction(event) {
+    const actionEl = event.target.closest("[data-action='select-priority']");
+    if (!actionEl) {
+      return;
+    }
+
+    setPickerPriority(sanitizePriority(Number(actionEl.dataset.priorityValue)));
+    renderPriorityDropdown();
+    setPriorityMenuOpen(false);
+    focusActiveEditor();
+  }
+
+  function handleSortToggleClick() {
+    state.sortMode = state.sortMode === SORT_MODE_PRIORITY ? SORT_MODE_MANUAL : SORT_MODE_PRIORITY;
+    saveState(state);
+    renderApp();
+  }
+
+  function getRecurrenceAnchorDate() {
+    return parseIsoDate(getPickerDueDate()) || new Date();
+  }
+
+  function handleRecurrenceToggleClick() {
+    const shouldOpen = !recurrenceMenuOpen;
+    closePickerMenus();
+    if (filterMenuOpen) {
+      setFilterMenuOpen(false);
+    }
+    if (projectViewMenuOpen) {
+      setProjectViewMenuOpen(false);
+    }
+    setRecurrenceMenuOpen(shouldOpen);
+  }
+
+  function handleRecurrenceMenuAction(event) {
+    const actionEl = event.target.closest("[data-action]");
+    if (!actionEl) {
+      return;
+    }
+
+    const action = actionEl.dataset.action;
+    const current = getPickerRecurrence();
+    if (action === "select-recurrence") {
+      const recurrenceType = actionEl.dataset.recurrenceType || "";
+      const anchorDate = getRecurrenceAnchorDate();
+      let nextRecurrence = null;
+      if (recurrenceType === "weekly") {
+        nextRecurrence =
+          current?.type === "weekly"
+            ? current
+            : { type: "weekly", interval: 1, days: [anchorDate.getDay()] };
+      } else if (recurrenceType === "monthly") {
+        nextRecurrence =
+          current?.type === "monthly" ? current : { type: "monthly", dayOfMonth: anchorDate.getDate() };
+      } else if (recurrenceType === "yearly") {
+        nextRecurrence =
+          current?.type === "yearly" ? current : { type: "yearly", dayOfMonth: anchorDate.getDate() };
+      } else if (recurrenceType) {
+        nextRecurrence = { type: recurrenceType };
+      }
+
+      setPickerRecurrence(sanitizeRecurrence(nextRecurrence));
+      renderRecurrenceControl();
+      if (recurrenceType !== "weekly" && recurrenceType !== "monthly") {
+        setRecurrenceMenuOpen(false);
+        focusActiveEditor();
+      }
+      return;
+    }
+
+    if (action === "toggle-recurrence-day" && current?.type === "weekly") {
+      const day = Number(actionEl.dataset.day);
+      const days = current.days.includes(day)
+        ? current.days.filter((existingDay) => existingDay !== day)
+        : [...current.days, day];
+      if (days.length === 0) {
+        return;
+      }
+
+      setPickerRecurrence(sanitizeRecurrence({ ...current, days }));
+      renderRecurrenceControl();
+    }
+  }
+
+  function handleRecurrenceDetailsInput(event) {
+    const current = getPickerRecurrence();
+    const value = Number(event.target.value);
+    if (!current || !Number.isInteger(value)) {
+      return;
+    }
+
+    if (event.target === recurrenceIntervalEl && current.type === "weekly") {
+      setPickerRecurrence(sanitizeRecurrence({ ...current, interval: value }));
+    } else if (event.target === recurrenceMonthDayEl && current.type === "monthly") {
+      setPickerRecurrence(sanitizeRecurrence({ ...current, dayOfMonth: value }));
+    }
+    renderRecurrenceControl();
+  }
+
+  function handleRecurrenceDetailsKeydown(event) {
+    if (event.key !== "Enter") {
+      return;
+    }
+
+    event.preventDefault();
+    setRecurrenceMenuOpen(false);
+    renderRecurrenceControl();
+    focusActiveEditor();
+  }
+
+  function handleTemplateMenuAction(event) {
+    const actionEl = event.target.closest("[data-action]");
+    if (!actionEl) {
+      return;
+    }
+
+    const action = actionEl.dataset.action;
+    if (action === "start-add-template") {
+      showTemplateInput();
+      return;
+    }
+
+    if (action === "select-template") {
+      const value = actionEl.dataset.templateValue || "";
+      setPickerTemplate(value ? findTemplateValue(state.templates, value) : null);
+      saveState(state);
+      renderApp();
+      setTemplateMenuOpen(false);
+      focusActiveEditor();
+      return;
+    }
+
+    if (action === "delete-template") {
+      if (deleteTemplate(actionEl.dataset.templateValue || "")) {
+        setTemplateMenuOpen(true);
+      }
+    }
+  }
+
+  function deleteTemplate(templateName) {
+    const template = findTemplateValue(state.templates, templateName);
+    if (!template) {
+      return false;
+    }
+
+    recordHistory(`Template ${template} deleted`);
+    deleteTemplateFromState(state, template);
+    if (taskEdit && taskEdit.template) {
+      taskEdit.template = findTemplateValue(state.templates, taskEdit.template);
+    }
+    saveState(state);
+    renderApp();
+    showUndoToast(`Template ${template} deleted`);
+    return true;
+  }
+
+  function handleTemplateAddSubmit(event) {
+    event.preventDefault();
+    const templateName = sanitizeTemplateName(templateAddInputEl.value);
+    if (!templateName) {
+      templateAddInputEl.focus();
+      return;
+    }
+
+    const resolvedTemplate = pushUniqueTemplate(state.templates, templateName);
+    setPickerTemplate(resolvedTemplate);
+    saveState(state);
+
+    renderApp();
+    setTemplateMenuOpen(true);
+    templateAddInputEl.value = "";
+    templateAddInputEl.focus();
+  }
+
+  function handleTemplateToggleClick() {
+    if (priorityMenuOpen) {
+      setPriorityMenuOpen(false);
+    }
+    if (recurrenceMenuOpen) {
+      setRecurrenceMenuOpen(false);
+    }
+    if (filterMenuOpen) {
+      setFilterMenuOpen(false);
+    }
+    if (projectViewMenuOpen) {
+      setProjectViewMenuOpen(false);
+    }
+    if (projectMenuOpen) {
+      setProjectMenuOpen(false);
+    }
+    if (dueDateMenuOpen) {
+      setDueDateMenuOpen(false);
+    }
+    setTemplateMenuOpen(!templateMenuOpen);
+  }
+
+  function handleHeaderDropdownOutsidePointerDown(event) {
+    if (templateMenuOpen && !templatePickerEl.contains(event.target)) {
+      setTemplateMenuOpen(false);
+    }
+
+    if (filterMenuOpen && !filterPickerEl.contains(event.target)) {
+      setFilterMenuOpen(false);
+    }
+
+    if (projectMenuOpen && !projectPickerEl.contains(event.target)) {
+      setProjectMenuOpen(false);
+    }
 
-  function renderTemplateDropdown() {
-    templateToggleLabelEl.textContent = state.composerTemplate || "No template";
-    templateClearOptionEl.classList.toggle("is-selected", !state.composerTemplate);
+    if (projectViewMenuOpen && !projectViewPickerEl.contains(event.target)) {
+      setProjectViewMenuOpen(false);
+    }
 
-    templateOptionsEl.innerHTML = "";
-    const fragment = document.createDocumentFragment();
+    if (dueDateMenuOpen && !dueDatePickerEl.contains(event.target)) {
+      setDueDateMenuOpen(false);
+    }
 
-    state.templates.forEach((templateName) => {
-      const row = document.createElement("div");
-      row.className = "template-option-row";
+    if (priorityMenuOpen && !priorityPickerEl.contains(event.target)) {
+      setPriorityMenuOpen(false);
+    }
 
-      const optionButton = document.createElement("button");
-      optionButton.type = "button";
-      optionButton.className = "template-option template-option-main";
-      if (state.composerTemplate === templateName) {
-        optionButton.classList.add("is-selected");
-      }
-      optionButton.dataset.action = "select-template";
-      optionButton.dataset.templateValue = templateName;
-      optionButton.textContent = templateName;
+    if (recurrenceMenuOpen && !recurrencePickerEl.contains(event.target)) {
+      setRecurrenceMenuOpen(false);
+      renderRecurrenceControl();
+    }
+  }
 
-      const deleteButton = document.createElement("button");
-      deleteButton.type = "button";
-      deleteButton.className = "template-delete";
-      deleteButton.dataset.action = "delete-template";
-      deleteButton.dataset.templateValue = templateName;
-      deleteButton.setAttribute("aria-label", `Delete template ${templateName}`);
-      deleteButton.textContent = "×";
+  function handleViewportResize() {
+    if (templateMenuOpen) {
+      scheduleTemplateMenuPlacement();
+    }
 
-      row.append(optionButton, deleteButton);
-      fragment.append(row);
-    });
+    if (filterMenuOpen) {
+      updateFilterOptionsScrollArea();
+    }
+  }
+
+  function handleDocumentScroll(event) {
+    if (!templateMenuOpen) {
+      return;
+    }
+
+    if (event?.target && templatePickerEl.contains(event.target)) {
+      return;
+    }
 
-    templateOptionsEl.append(fragment);
     scheduleTemplateMenuPlacement();
   }
 
-  function renderApp() {
-    const isCompletedView = state.activeView === VIEW_MODE_COMPLETED;
-    completedTabToggleEl.classList.toggle("is-active", isCompletedView);
-    completedTabToggleEl.textContent = isCompletedView ? "Tasks" : "Completed";
-    completedTabToggleEl.setAttribute(
-      "aria-label",
-      isCompletedView ? "Back to active tasks" : "Open completed tasks"
-    );
-    composerEl.classList.toggle("is-hidden", isCompletedView);
-    if (isCompletedView && templateMenuOpen) {
-      setTemplateMenuOpen(false);
+  function handleHeaderDropdownKeydown(event) {
+    if (event.key !== "Escape") {
+      return;
     }
-    if (isCompletedView && dueDateMenuOpen) {
+
+    if (dueDateMenuOpen) {
+      event.preventDefault();
+      if (dueDateMonthMenuOpen || dueDateYearMenuOpen) {
+        closeDueDateHeaderMenus();
+        return;
+      }
       setDueDateMenuOpen(false);
+      dueDateInputEl.focus();
+      return;
     }
 
-    renderTemplateDropdown();
-    renderFilterDropdown();
-    renderDueDateControl();
+    if (templateMenuOpen) {
+      event.preventDefault();
+      setTemplateMenuOpen(false);
+      templateToggleEl.focus();
+      return;
+    }
 
-    const visibleTasks = getVisibleTasks(state);
-    const emptyState = getEmptyState(state, visibleTasks);
-    renderTasks(taskListEl, visibleTasks, { emptyState });
-  }
+    if (projectMenuOpen) {
+      event.preventDefault();
+      setProjectMenuOpen(false);
+      projectToggleEl.focus();
+      return;
+    }
 
-  function handleAddTask() {
-    if (state.activeView !== VIEW_MODE_TASKS) {
+    if (priorityMenuOpen) {
+      event.preventDefault();
+      setPriorityMenuOpen(false);
+      priorityToggleEl.focus();
       return;
     }
 
-    if (isEditorEmpty(editorEl)) {
-      focusEditor(editorEl);
+    if (recurrenceMenuOpen) {
+      event.preventDefault();
+      setRecurrenceMenuOpen(false);
+      renderRecurrenceControl();
+      recurrenceToggleEl.focus();
       return;
     }
 
-    const { html } = getEditorContent(editorEl);
-    const task = createTask(html, state.composerTemplate, state.composerDueDate);
-    state.tasks.push(task);
-    state.composerDueDate = null;
-    dueDateInputEl.setAttribute("aria-invalid", "false");
-    saveState(state);
+    if (filterMenuOpen) {
+      event.preventDefault();
+      setFilterMenuOpen(false);
+      filterToggleEl.focus();
+      return;
+    }
 
-    renderApp();
-    clearEditor(editorEl);
-    focusEditor(editorEl);
+    if (projectViewMenuOpen) {
+      event.preventDefault();
+      setProjectViewMenuOpen(false);
+      projectViewToggleEl.focus();
+    }
   }
 
-  function handleEditorKeydown(event) {
-    if (event.key !== "Enter") {
+  function handleHistoryKeydown(event) {
+    if (!(event.ctrlKey || event.metaKey) || event.altKey) {
       return;
     }
 
-    if (event.shiftKey || event.altKey || event.ctrlKey || event.metaKey) {
+    const key = event.key.toLowerCase();
+    const isUndo = key === "z" && !event.shiftKey;
+    const isRedo = (key === "z" && event.shiftKey) || (key === "y" && !event.shiftKey);
+    if (!isUndo && !isRedo) {
       return;
     }
 
+    // Leave native text undo alone while something is being typed.
+    if (isEditableTarget(event.target)) {
+      const isEmptyEditor =
+        event.target.isContentEditable && (event.target.textContent || "").trim().length === 0;
+      if (!isEmptyEditor) {
+        return;
+      }
+    }
+
     event.preventDefault();
-    handleAddTask();
+    if (isUndo) {
+      undoLastChange();
+      return;
+    }
+
+    redoLastChange();
   }
 
-  function handleTaskActionClick(event) {
-    const actionEl = event.target.closest("[data-action]");
-    if (!actionEl) {
-      return;
+  function isAnyMenuOpen() {
+    return (
+      templateMenuOpen ||
+      projectMenuOpen ||
+      priorityMenuOpen ||
+      dueDateMenuOpen ||
+      recurrenceMenuOpen ||
+      filterMenuOpen ||
+      projectViewMenuOpen
+    );
+  }
+
+  function openTaskEditPicker(taskId, openPicker) {
+    startTaskEdit(taskId);
+    if (taskEdit && taskEdit.taskId === taskId) {
+      openPicker();
     }
+  }
 
-    const taskCard = actionEl.closest(".task-item");
-    if (!taskCard) {
+  function openTaskTemplatePicker(taskId) {
+    openTaskEditPicker(taskId, () => {
+      handleTemplateToggleClick();
+      const optionEl =
+        templateOptionsEl.querySelector(".template-option.is-selected") ||
+        templateMenuEl.querySelector("button");
+      optionEl?.focus();
+    });
+  }
+
+  function handleTaskShortcutKeydown(event) {
+    if (event.defaultPrevented || event.ctrlKey || event.metaKey || event.altKey) {
       return;
     }
 
-    const taskId = taskCard.dataset.taskId;
-    if (!taskId) {
+    if (
+      isEditableTarget(event.target) ||
+      taskEdit ||
+      isAnyMenuOpen() ||
+      !dataDialogEl.hidden ||
+      !shortcutsDialogEl.hidden ||
+      !commandPaletteEl.hidden
+    ) {
       return;
     }
 
-    const taskIndex = state.tasks.findIndex((task) => task.id === taskId);
-    if (taskIndex === -1) {
+    if (event.key === "?") {
+      event.preventDefault();
+      openShortcutsDialog();
       return;
     }
 
-    const action = actionEl.dataset.action;
-    if (action === "toggle-complete") {
-      const existingTask = state.tasks[taskIndex];
-
-      if (
-        !existingTask.completed &&
-        state.activeView === VIEW_MODE_TASKS &&
-        !taskCard.classList.contains("is-completing")
-      ) {
-        const toggleButton = actionEl.closest(".task-toggle");
-        if (toggleButton) {
-          toggleButton.classList.add("is-complete");
-          toggleButton.textContent = "✓";
-          toggleButton.setAttribute("aria-pressed", "true");
-          toggleButton.setAttribute("aria-label", "Mark as incomplete");
-        }
-
-        taskCard.classList.add("is-completing");
-        const timerId = window.setTimeout(() => {
-          pendingCompletionTimers.delete(taskId);
-          const pendingTaskIndex = state.tasks.findIndex((task) => task.id === taskId);
-          if (pendingTaskIndex === -1) {
-            return;
-          }
+    if (event.key === "Escape" && isSelectionActive()) {
+      event.preventDefault();
+      clearSelection();
+      return;
+    }
 
-          const pendingTask = state.tasks[pendingTaskIndex];
-          state.tasks[pendingTaskIndex] = {
-            ...pendingTask,
-            completed: true,
-            completedAt: new Date().toISOString(),
-          };
-          saveState(state);
-          renderApp();
-        }, TASK_COMPLETE_ANIMATION_MS);
-        pendingCompletionTimers.set(taskId, timerId);
+    const taskCards = getTaskCards();
+    const focusedCardEl = event.target instanceof HTMLElement ? event.target.closest(".task-item") : null;
+    const offset = TASK_NAVIGATION_KEYS[event.key];
+    if (offset) {
+      // Arrow keys keep scrolling the page unless the list is already being navigated.
+      if (event.key.startsWith("Arrow") && !focusedCardEl && event.target !== document.body) {
         return;
       }
 
-      const completed = !existingTask.completed;
-      state.tasks[taskIndex] = {
-        ...existingTask,
-        completed,
-        completedAt: completed ? new Date().toISOString() : null,
-      };
-      saveState(state);
-      renderApp();
+      event.preventDefault();
+      const currentIndex = focusedCardEl ? taskCards.indexOf(focusedCardEl) : -1;
+      const nextIndex =
+        currentIndex === -1 ? (offset > 0 ? 0 : taskCards.length - 1) : currentIndex + offset;
+      taskCards[Math.max(0, Math.min(nextIndex, taskCards.length - 1))]?.focus();
       return;
     }
 
-    if (action === "delete-task") {
-      const pendingTimerId = pendingCompletionTimers.get(taskId);
-      if (pendingTimerId) {
-        window.clearTimeout(pendingTimerId);
-        pendingCompletionTimers.delete(taskId);
-      }
-      state.tasks.splice(taskIndex, 1);
-      saveState(state);
-      renderApp();
+    if (!focusedCardEl) {
+      return;
+    }
+
+    const taskId = focusedCardEl.dataset.taskId;
+    if (event.key === "s") {
+      event.preventDefault();
+      toggleTaskSelection(taskId);
+    } else if (event.key === "x") {
+      event.preventDefault();
+      toggleTaskCompletion(taskId);
+    } else if (event.key === "Backspace" || event.key === "Delete") {
+      event.preventDefault();
+      deleteTask(taskId);
+    } else if (event.key === "e") {
+      event.preventDefault();
+      startTaskEdit(taskId);
+    } else if (event.key === "d") {
+      event.preventDefault();
+      openTaskEditPicker(taskId, handleDueDateToggleClick);
+    } else if (event.key === "t") {
+      event.preventDefault();
+      openTaskTemplatePicker(taskId);
     }
   }
 
-  function handleFilterMenuAction(event) {
-    const actionEl = event.target.closest("[data-action='select-filter']");
-    if (!actionEl) {
+  function renderShortcutsList() {
+    shortcutsListEl.innerHTML = "";
+    KEYBOARD_SHORTCUTS.forEach((shortcut) => {
+      const keysEl = document.createElement("dt");
+      shortcut.keys.forEach((key) => {
+        const keyEl = document.createElement("kbd");
+        keyEl.className = "shortcut-key";
+        keyEl.textContent = key;
+        keysEl.append(keyEl);
+      });
+      const descriptionEl = document.createElement("dd");
+      descriptionEl.textContent = shortcut.description;
+      shortcutsListEl.append(keysEl, descriptionEl);
+    });
+  }
+
+  function openShortcutsDialog() {
+    closePickerMenus();
+    shortcutsReturnFocusEl = document.activeElement;
+    renderShortcutsList();
+    shortcutsDialogEl.hidden = false;
+    shortcutsDialogEl.querySelector("[data-action='close-shortcuts-dialog']").focus();
+  }
+
+  function closeShortcutsDialog() {
+    shortcutsDialogEl.hidden = true;
+    if (shortcutsReturnFocusEl?.isConnected) {
+      shortcutsReturnFocusEl.focus();
+    }
+    shortcutsReturnFocusEl = null;
+  }
+
+  function handleShortcutsDialogClick(event) {
+    if (event.target === shortcutsDialogEl || event.target.closest("[data-action='close-shortcuts-dialog']")) {
+      closeShortcutsDialog();
+    }
+  }
+
+  function handleShortcutsDialogKeydown(event) {
+    if (event.key !== "Escape" && event.key !== "?") {
       return;
     }
 
-    const selectedFilter = fromFilterValue(actionEl.dataset.filterValue || FILTER_VALUE_ALL, state.templates);
-    state.activeFilter = selectedFilter;
+    event.preventDefault();
+    event.stopPropagation();
+    closeShortcutsDialog();
+  }
+
+  function setComposerDueDate(dueDate) {
+    state.composerDueDate = dueDate;
+    if (!dueDate) {
+      state.composerDueTime = null;
+      state.composerReminders = [];
+    }
+    renderDueDateControl();
+    showToast(dueDate ? `New tasks are due ${formatDueDateInput(dueDate)}` : "New tasks have no due date");
+    if (!taskEdit && state.activeView === VIEW_MODE_TASKS) {
+      focusEditor(editorEl);
+    }
+  }
+
+  function createTemplate(templateName) {
+    const template = pushUniqueTemplate(state.templates, templateName);
     saveState(state);
     renderApp();
-    setFilterMenuOpen(false);
-    filterToggleEl.focus();
+    showToast(`Template ${template} created`);
   }
 
-  function handleFilterToggleClick() {
-    if (templateMenuOpen) {
-      setTemplateMenuOpen(false);
-    }
-    if (dueDateMenuOpen) {
-      setDueDateMenuOpen(false);
+  function exportCalendarFromPalette() {
+    if (!state.tasks.some((task) => task.dueDate)) {
+      showToast("No tasks have a due date to export");
+      return;
     }
-    setFilterMenuOpen(!filterMenuOpen);
+
+    handleExportCalendar();
   }
 
-  function handleDueDateToggleClick() {
-    if (templateMenuOpen) {
-      setTemplateMenuOpen(false);
+  // Filters, the search and finally the project view are widened only as far as needed to show the task.
+  function revealTask(taskId) {
+    const task = state.tasks.find((candidate) => candidate.id === taskId);
+    if (!task) {
+      return;
     }
-    if (filterMenuOpen) {
-      setFilterMenuOpen(false);
+
+    const isTaskVisible = () => getVisibleTasks(state).some((visibleTask) => visibleTask.id === taskId);
+    // An agenda view that already lists the task is kept; otherwise the matching full list is shown.
+    if (!isAgendaView(state.activeView) || !isTaskVisible()) {
+      state.activeView = task.completed ? VIEW_MODE_COMPLETED : VIEW_MODE_TASKS;
+    }
+    if (!isTaskVisible()) {
+      state.searchQuery = "";
+      searchInputEl.value = "";
+      state.activeFilter = FILTER_MODE_ALL;
+    }
+    if (!isTaskVisible()) {
+      state.activeProject = resolveActiveProject(task.projectId, state.projects);
+      state.composerProjectId = resolveComposerProject(state.activeProject, state.projects);
+    }
+    saveState(state);
+    renderApp();
+
+    const taskCardEl = getTaskCardEl(taskId);
+    if (taskCardEl) {
+      taskCardEl.scrollIntoView({ block: "nearest" });
+      taskCardEl.focus();
     }
+  }
 
-    const shouldOpen = !dueDateMenuOpen;
-    setDueDateMenuOpen(shouldOpen);
-    if (shouldOpen) {
-      dueDateInputEl.focus();
+  // Clicking a reminder while no tab is open starts the app with ?task=<id>.
+  function openTaskFromUrl() {
+    const url = new URL(window.location.href);
+    const taskId = url.searchParams.get(TASK_URL_PARAM);
+    if (!taskId) {
+      return;
     }
+
+    url.searchParams.delete(TASK_URL_PARAM);
+    window.history.replaceState(null, "", url);
+    revealTask(taskId);
   }
 
-  function handleDueDateInputFocus() {
-    if (templateMenuOpen) {
-      setTemplateMenuOpen(false);
+  function setPaletteHint(message, isError = false) {
+    commandPaletteHintEl.textContent = message;
+    commandPaletteHintEl.classList.toggle("is-error", isError);
+    commandPaletteHintEl.hidden = !message;
+  }
+
+  function renderCommandPalette() {
+    commandPaletteListEl.innerHTML = "";
+    commandPaletteInputEl.removeAttribute("aria-activedescendant");
+    commandPaletteInputEl.setAttribute("aria-expanded", String(!palettePromptCommand));
+    if (palettePromptCommand) {
+      return;
     }
-    if (filterMenuOpen) {
-      setFilterMenuOpen(false);
+
+    paletteCommands.forEach((command, index) => {
+      const optionEl = document.createElement("li");
+      optionEl.id = `command-palette-option-${index}`;
+      optionEl.className = "command-palette-option";
+      optionEl.setAttribute("role", "option");
+      optionEl.setAttribute("aria-selected", String(index === paletteActiveIndex));
+      optionEl.classList.toggle("is-active", index === paletteActiveIndex);
+      optionEl.dataset.action = "run-command";
+      optionEl.dataset.commandIndex = String(index);
+
+      const titleEl = document.createElement("span");
+      titleEl.className = "command-palette-title";
+      titleEl.textContent = command.input ? `${command.title}…` : command.title;
+      const groupEl = document.createElement("span");
+      groupEl.className = "command-palette-group";
+      groupEl.textContent = command.group;
+      optionEl.append(titleEl, groupEl);
+      commandPaletteListEl.append(optionEl);
+    });
+
+    const activeOptionEl = commandPaletteListEl.children[paletteActiveIndex];
+    if (activeOptionEl) {
+      commandPaletteInputEl.setAttribute("aria-activedescendant", activeOptionEl.id);
+      activeOptionEl.scrollIntoView({ block: "nearest" });
     }
-    setDueDateMenuOpen(true);
   }
 
-  function handleDueDatePickerPointerStart() {
-    dueDatePickerPointerActive = true;
+  function searchPaletteCommands() {
+    paletteCommands = commandRegistry.search(commandPaletteInputEl.value);
+    paletteActiveIndex = 0;
+    setPaletteHint(paletteCommands.length === 0 ? "No matching commands or tasks" : "");
+    renderCommandPalette();
   }
 
-  function handleDueDatePickerPointerEnd() {
-    dueDatePickerPointerActive = false;
+  function showPaletteCommands(query = "") {
+    palettePromptCommand = null;
+    commandPaletteInputEl.value = query;
+    commandPaletteInputEl.placeholder = "Search commands and tasks";
+    commandPaletteInputEl.setAttribute("aria-label", "Search commands and tasks");
+    searchPaletteCommands();
+  }
+
+  function openCommandPalette(query = "") {
+    closePickerMenus();
+    if (filterMenuOpen) {
+      setFilterMenuOpen(false);
+    }
+    if (projectViewMenuOpen) {
+      setProjectViewMenuOpen(false);
+    }
+    paletteReturnFocusEl = document.activeElement;
+    commandPaletteEl.hidden = false;
+    showPaletteCommands(query);
+    commandPaletteInputEl.focus();
   }
 
-  function handleDueDateInputBlur(event) {
-    const nextFocusedEl = event.relatedTarget;
-    if (
-      (nextFocusedEl && dueDatePickerEl.contains(nextFocusedEl)) ||
-      dueDatePickerPointerActive
-    ) {
-      return;
+  function closeCommandPalette() {
+    commandPaletteEl.hidden = true;
+    palettePromptCommand = null;
+    if (paletteReturnFocusEl?.isConnected) {
+      paletteReturnFocusEl.focus();
     }
-    commitDueDateInputValue(dueDateInputEl.value);
-    renderDueDateControl();
+    paletteReturnFocusEl = null;
   }
 
-  function handleDueDateInputKeydown(event) {
-    if (event.key === "Enter") {
-      event.preventDefault();
-      commitDueDateInputValue(dueDateInputEl.value);
-      setDueDateMenuOpen(false);
-      focusEditor(editorEl);
+  function runPaletteCommand(command) {
+    if (command.input) {
+      palettePromptCommand = command;
+      commandPaletteInputEl.value = "";
+      commandPaletteInputEl.placeholder = command.input.placeholder;
+      commandPaletteInputEl.setAttribute("aria-label", command.title);
+      setPaletteHint(command.title);
+      renderCommandPalette();
+      commandPaletteInputEl.focus();
       return;
     }
 
-    if (event.key === "ArrowDown") {
-      event.preventDefault();
-      setDueDateMenuOpen(true);
+    closeCommandPalette();
+    command.run();
+  }
+
+  function submitPalettePrompt() {
+    const command = palettePromptCommand;
+    const { value, error } = command.input.parse(commandPaletteInputEl.value);
+    if (error) {
+      setPaletteHint(error, true);
       return;
     }
 
-    if (event.key === "Escape") {
-      event.preventDefault();
-      setDueDateMenuOpen(false);
-      dueDateInputEl.value = state.composerDueDate ? formatDueDateInput(state.composerDueDate) : "";
-      dueDateInputEl.setAttribute("aria-invalid", "false");
-      focusEditor(editorEl);
-    }
+    closeCommandPalette();
+    command.run(value);
   }
 
-  function handleDueDateMenuAction(event) {
-    const actionEl = event.target.closest("[data-action]");
-    if (!actionEl) {
+  function handleCommandPaletteInput() {
+    if (palettePromptCommand) {
+      setPaletteHint(palettePromptCommand.title);
       return;
     }
 
-    const action = actionEl.dataset.action;
-    if (action === "due-date-toggle-month-menu") {
-      setDueDateMonthMenuOpen(!dueDateMonthMenuOpen);
+    searchPaletteCommands();
+  }
+
+  function handleCommandPaletteKeydown(event) {
+    if (event.key === "Escape") {
+      event.preventDefault();
+      event.stopPropagation();
+      if (palettePromptCommand) {
+        showPaletteCommands();
+        return;
+      }
+      closeCommandPalette();
       return;
     }
 
-    if (action === "due-date-toggle-year-menu") {
-      setDueDateYearMenuOpen(!dueDateYearMenuOpen);
+    if (event.key === "Tab") {
+      event.preventDefault();
       return;
     }
 
-    if (action === "due-date-select-month") {
-      const month = Number(actionEl.dataset.monthValue);
-      if (!Number.isInteger(month) || month < 0 || month > 11) {
+    if (event.key === "Enter") {
+      event.preventDefault();
+      if (palettePromptCommand) {
+        submitPalettePrompt();
         return;
       }
-      dueDateViewDate = new Date(dueDateViewDate.getFullYear(), month, 1);
-      setDueDateMonthMenuOpen(false);
-      renderDueDateCalendar();
+      if (paletteCommands[paletteActiveIndex]) {
+        runPaletteCommand(paletteCommands[paletteActiveIndex]);
+      }
       return;
     }
 
-    if (action === "due-date-select-year") {
-      const year = Number(actionEl.dataset.yearValue);
-      if (!Number.isInteger(year) || year < 1 || year > 9999) {
+    if ((event.key === "ArrowDown" || event.key === "ArrowUp") && !palettePromptCommand) {
+      event.preventDefault();
+      if (paletteCommands.length === 0) {
         return;
       }
-      dueDateViewDate = new Date(year, dueDateViewDate.getMonth(), 1);
-      setDueDateYearMenuOpen(false);
-      renderDueDateCalendar();
+      const offset = event.key === "ArrowDown" ? 1 : -1;
+      paletteActiveIndex = (paletteActiveIndex + offset + paletteCommands.length) % paletteCommands.length;
+      renderCommandPalette();
+    }
+  }
+
+  function handleCommandPaletteClick(event) {
+    if (event.target === commandPaletteEl) {
+      closeCommandPalette();
       return;
     }
 
-    if (dueDateMonthMenuOpen || dueDateYearMenuOpen) {
-      closeDueDateHeaderMenus();
+    const optionEl = event.target.closest("[data-action='run-command']");
+    if (optionEl) {
+      runPaletteCommand(paletteCommands[Number(optionEl.dataset.commandIndex)]);
     }
+  }
 
-    if (action === "due-date-prev-month" || action === "due-date-next-month") {
-      const monthOffset = action === "due-date-prev-month" ? -1 : 1;
-      dueDateViewDate = new Date(
-        dueDateViewDate.getFullYear(),
-        dueDateViewDate.getMonth() + monthOffset,
-        1
-      );
-      renderDueDateCalendar();
+  function handleCommandPaletteShortcutKeydown(event) {
+    if (
+      !(event.ctrlKey || event.metaKey) ||
+      event.altKey ||
+      event.shiftKey ||
+      event.key.toLowerCase() !== "k"
+    ) {
       return;
     }
 
-    if (action === "due-date-today") {
-      state.composerDueDate = toIsoDateFromLocalDate(new Date());
-      dueDateInputEl.value = formatDueDateInput(state.composerDueDate);
-      dueDateInputEl.setAttribute("aria-invalid", "false");
-      setDueDateViewMonthFromValue(state.composerDueDate);
-      setDueDateMenuOpen(false);
-      renderDueDateControl();
-      focusEditor(editorEl);
+    event.preventDefault();
+    if (!commandPaletteEl.hidden) {
+      closeCommandPalette();
       return;
     }
 
-    if (action === "due-date-select") {
-      const selectedDueDate = normalizeDueDate(actionEl.dataset.dueDateValue);
-      if (!selectedDueDate) {
+    if (dataDialogEl.hidden && shortcutsDialogEl.hidden) {
+      openCommandPalette();
+    }
+  }
+
+  function handleToastActionClick() {
+    const action = toastAction;
+    hideToast();
+    if (action) {
+      action.run();
+    }
+  }
+
+  function renderReportTemplateOptions() {
+    const selectedValue = reportTemplateSelectEl.value || FILTER_VALUE_ALL;
+    reportTemplateSelectEl.innerHTML = "";
+    getFilterOptions(state.templates).forEach(([value, label]) => {
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = label;
+      reportTemplateSelectEl.append(option);
+    });
+    reportTemplateSelectEl.value = toFilterValue(fromFilterValue(selectedValue, state.templates));
+  }
+
+  function openDataDialog() {
+    closePickerMenus();
+    renderReportTemplateOptions();
+    renderSyncStatus(serverSync.getStatus());
+    dataReportEl.hidden = true;
+    dataDialogEl.hidden = false;
+    dataDialogEl.querySelector("[data-action='export-json']").focus();
+  }
+
+  function closeDataDialog() {
+    dataDialogEl.hidden = true;
+    dataDialogToggleEl.focus();
+  }
+
+  function getImportMode() {
+    const checkedEl = dataDialogEl.querySelector("input[name='import-mode']:checked");
+    return checkedEl && checkedEl.value === IMPORT_MODE_REPLACE ? IMPORT_MODE_REPLACE : IMPORT_MODE_MERGE;
+  }
+
+  function renderImportReport(title, report) {
+    dataReportEl.innerHTML = "";
+    const heading = document.createElement("p");
+    heading.className = "data-report-title";
+    heading.textContent = title;
+    dataReportEl.append(heading);
+
+    [
+      ["Added", report.added],
+      ["Updated", report.updated],
+      ["Skipped", report.skipped],
+    ].forEach(([groupLabel, entries]) => {
+      if (entries.length === 0) {
         return;
       }
-      state.composerDueDate = selectedDueDate;
-      dueDateInputEl.value = formatDueDateInput(state.composerDueDate);
-      dueDateInputEl.setAttribute("aria-invalid", "false");
-      setDueDateMenuOpen(false);
-      renderDueDateControl();
-      focusEditor(editorEl);
+
+      const group = document.createElement("details");
+      group.className = "data-report-group";
+      const summary = document.createElement("summary");
+      summary.textContent = `${groupLabel} (${entries.length})`;
+      const list = document.createElement("ul");
+      list.className = "data-report-list";
+      entries.forEach((entry) => {
+        const item = document.createElement("li");
+        item.textContent = entry.reason ? `${entry.label} — ${entry.reason}` : entry.label;
+        list.append(item);
+      });
+      group.append(summary, list);
+      dataReportEl.append(group);
+    });
+
+    dataReportEl.hidden = false;
+  }
+
+  function renderDataError(message) {
+    dataReportEl.innerHTML = "";
+    const error = document.createElement("p");
+    error.className = "data-report-title is-error";
+    error.textContent = message;
+    dataReportEl.append(error);
+    dataReportEl.hidden = false;
+  }
+
+  function handleExportJson() {
+    const fileName = `taskdoit-${toIsoDateFromLocalDate(new Date())}.json`;
+    downloadFile(fileName, JSON.stringify(createWorkspaceExport(state), null, 2), "application/json");
+  }
+
+  function handleExportCsv() {
+    const from = reportFromInputEl.value || null;
+    const to = reportToInputEl.value || null;
+    if (from && to && from > to) {
+      renderDataError("The report start date is after its end date.");
+      return;
+    }
+
+    const templateFilter = fromFilterValue(reportTemplateSelectEl.value, state.templates);
+    const rows = getCompletedTaskRows(
+      state.tasks.filter((task) => taskMatchesTemplateFilter(task, templateFilter)),
+      { from, to }
+    );
+    if (rows.length === 0) {
+      renderDataError("No completed tasks match this range and template.");
+      return;
     }
+
+    dataReportEl.hidden = true;
+    downloadFile(
+      `taskdoit-completed-${toIsoDateFromLocalDate(new Date())}.csv`,
+      buildCompletedTasksCsv(rows),
+      "text/csv;charset=utf-8"
+    );
   }
 
-  function handleCompletedTabToggle() {
-    state.activeView =
-      state.activeView === VIEW_MODE_COMPLETED ? VIEW_MODE_TASKS : VIEW_MODE_COMPLETED;
+  function applyImportedSnapshot(label, snapshot) {
+    clearPendingCompletions();
+    if (taskEdit) {
+      closePickerMenus();
+      taskEdit = null;
+    }
+    recordHistory(label);
+    restoreHistorySnapshot(state, snapshot);
     saveState(state);
     renderApp();
+  }
 
-    if (state.activeView === VIEW_MODE_TASKS) {
-      focusEditor(editorEl);
+  function importWorkspaceText(text) {
+    const { workspace, error } = parseWorkspaceImport(text);
+    if (error) {
+      renderDataError(error);
       return;
     }
 
-    editorEl.blur();
+    const mode = getImportMode();
+    const { snapshot, report } = importWorkspace(state, workspace, mode);
+    applyImportedSnapshot("Import tasks", snapshot);
+    renderImportReport(
+      mode === IMPORT_MODE_REPLACE ? "Replaced the workspace" : "Merged into the workspace",
+      report
+    );
+    showUndoToast(
+      `Imported: ${report.added.length} added, ${report.updated.length} updated, ${report.skipped.length} skipped`
+    );
   }
 
-  function handleTemplateMenuAction(event) {
-    const actionEl = event.target.closest("[data-action]");
-    if (!actionEl) {
+  function handleExportCalendar() {
+    if (!state.tasks.some((task) => task.dueDate)) {
+      renderDataError("No tasks have a due date to export.");
       return;
     }
 
-    const action = actionEl.dataset.action;
-    if (action === "start-add-template") {
-      showTemplateInput();
-      return;
-    }
+    dataReportEl.hidden = true;
+    downloadFile(
+      `taskdoit-${toIsoDateFromLocalDate(new Date())}.ics`,
+      buildCalendar(state.tasks),
+      "text/calendar;charset=utf-8"
+    );
+  }
 
-    if (action === "select-template") {
-      const value = actionEl.dataset.templateValue || "";
-      state.composerTemplate = value ? findTemplateValue(state.templates, value) : null;
-      saveState(state);
-      renderApp();
-      setTemplateMenuOpen(false);
-      focusEditor(editorEl);
+  function importCalendarText(text) {
+    const entries = parseCalendar(text);
+    if (!entries) {
+      renderDataError("This file is not an iCalendar file.");
       return;
     }
 
-    if (action === "delete-template") {
-      const value = actionEl.dataset.templateValue || "";
-      deleteTemplateFromState(state, value);
-      saveState(state);
-      renderApp();
-      setTemplateMenuOpen(true);
-    }
+    const { snapshot, report } = importCalendarEntries(state, entries);
+    applyImportedSnapshot("Import calendar", snapshot);
+    renderImportReport("Imported calendar entries", report);
+    showUndoToast(
+      `Imported: ${report.added.length} added, ${report.updated.length} updated, ${report.skipped.length} skipped`
+    );
   }
 
-  function handleTemplateAddSubmit(event) {
-    event.preventDefault();
-    const templateName = sanitizeTemplateName(templateAddInputEl.value);
-    if (!templateName) {
-      templateAddInputEl.focus();
+  function handleExportTodoTxt() {
+    const projectNames = new Map(state.projects.map((project) => [project.id, project.name]));
+    downloadFile(
+      "todo.txt",
+      buildTodoTxt(getTasksForPlainTextExport(state.tasks), projectNames),
+      "text/plain;charset=utf-8"
+    );
+  }
+
+  function handleExportMarkdown() {
+    downloadFile(
+      `taskdoit-${toIsoDateFromLocalDate(new Date())}.md`,
+      buildMarkdownChecklist(getTasksForPlainTextExport(state.tasks)),
+      "text/markdown;charset=utf-8"
+    );
+  }
+
+  function importPlainTextEntries(label, entries) {
+    const { snapshot, report } = importTaskEntries(state, entries);
+    applyImportedSnapshot(label, snapshot);
+    renderImportReport(`Imported ${entries.length} lines`, report);
+    showUndoToast(`Imported: ${report.added.length} added, ${report.skipped.length} skipped`);
+  }
+
+  function importTodoTxtText(text) {
+    const entries = parseTodoTxt(text).map((entry) => ({
+      ...entry,
+      contentHtml: getHTMLFromText(entry.text),
+    }));
+    importPlainTextEntries("Import todo.txt", entries);
+  }
+
+  function importMarkdownText(text) {
+    const entries = parseMarkdownChecklist(text);
+    if (entries.length === 0) {
+      renderDataError("No checklist items (- [ ] or - [x]) were found in this file.");
       return;
     }
 
-    const resolvedTemplate = pushUniqueTemplate(state.templates, templateName);
-    state.composerTemplate = resolvedTemplate;
-    saveState(state);
+    importPlainTextEntries("Import Markdown", entries);
+  }
 
-    renderApp();
-    setTemplateMenuOpen(true);
-    templateAddInputEl.value = "";
-    templateAddInputEl.focus();
+  const importers = {
+    [IMPORT_FORMAT_JSON]: importWorkspaceText,
+    [IMPORT_FORMAT_ICS]: importCalendarText,
+    [IMPORT_FORMAT_TODO_TXT]: importTodoTxtText,
+    [IMPORT_FORMAT_MARKDOWN]: importMarkdownText,
+  };
+
+  function chooseImportFile(format, accept) {
+    pendingImportFormat = format;
+    dataImportInputEl.accept = accept;
+    dataImportInputEl.click();
   }
 
-  function handleTemplateToggleClick() {
-    if (filterMenuOpen) {
-      setFilterMenuOpen(false);
+  async function handleDataImportChange() {
+    const file = dataImportInputEl.files[0];
+    dataImportInputEl.value = "";
+    if (!file) {
+      return;
     }
-    if (dueDateMenuOpen) {
-      setDueDateMenuOpen(false);
+
+    try {
+      importers[pendingImportFormat](await file.text());
+    } catch {
+      renderDataError("This file could not be read.");
     }
-    setTemplateMenuOpen(!templateMenuOpen);
   }
 
-  function handleHeaderDropdownOutsidePointerDown(event) {
-    if (templateMenuOpen && !templatePickerEl.contains(event.target)) {
-      setTemplateMenuOpen(false);
+  function handleDataDialogClick(event) {
+    if (event.target === dataDialogEl) {
+      closeDataDialog();
+      return;
     }
 
-    if (filterMenuOpen && !filterPickerEl.contains(event.target)) {
-      setFilterMenuOpen(false);
+    const actionEl = event.target.closest("[data-action]");
+    if (!actionEl) {
+      return;
     }
 
-    if (dueDateMenuOpen && !dueDatePickerEl.contains(event.target)) {
-      setDueDateMenuOpen(false);
+    const action = actionEl.dataset.action;
+    if (action === "close-data-dialog") {
+      closeDataDialog();
+      return;
     }
-  }
 
-  function handleViewportResize() {
-    if (templateMenuOpen) {
-      scheduleTemplateMenuPlacement();
+    if (action === "export-json") {
+      handleExportJson();
+      return;
     }
 
-    if (filterMenuOpen) {
-      updateFilterOptionsScrollArea();
+    if (action === "sync-enable") {
+      handleEnableSync();
+      return;
     }
-  }
 
-  function handleDocumentScroll(event) {
-    if (!templateMenuOpen) {
+    if (action === "sync-now") {
+      serverSync.sync();
       return;
     }
 
-    if (event?.target && templatePickerEl.contains(event.target)) {
+    if (action === "sync-disable") {
+      serverSync.disable();
       return;
     }
 
-    scheduleTemplateMenuPlacement();
-  }
+    if (action === "export-csv") {
+      handleExportCsv();
+      return;
+    }
 
-  function handleHeaderDropdownKeydown(event) {
-    if (event.key !== "Escape") {
+    if (action === "import-json") {
+      chooseImportFile(IMPORT_FORMAT_JSON, ".json,application/json");
       return;
     }
 
-    if (dueDateMenuOpen) {
-      event.preventDefault();
-      if (dueDateMonthMenuOpen || dueDateYearMenuOpen) {
-        closeDueDateHeaderMenus();
-        return;
-      }
-      setDueDateMenuOpen(false);
-      dueDateInputEl.focus();
+    if (action === "export-ics") {
+      handleExportCalendar();
       return;
     }
 
-    if (templateMenuOpen) {
-      event.preventDefault();
-      setTemplateMenuOpen(false);
-      templateToggleEl.focus();
+    if (action === "import-ics") {
+      chooseImportFile(IMPORT_FORMAT_ICS, ".ics,text/calendar");
       return;
     }
 
-    if (filterMenuOpen) {
-      event.preventDefault();
-      setFilterMenuOpen(false);
-      filterToggleEl.focus();
+    if (action === "export-todotxt") {
+      handleExportTodoTxt();
+      return;
+    }
+
+    if (action === "import-todotxt") {
+      chooseImportFile(IMPORT_FORMAT_TODO_TXT, ".txt,text/plain");
+      return;
+    }
+
+    if (action === "export-markdown") {
+      handleExportMarkdown();
+      return;
+    }
+
+    if (action === "import-markdown") {
+      chooseImportFile(IMPORT_FORMAT_MARKDOWN, ".md,.markdown,.txt,text/markdown,text/plain");
+    }
+  }
+
+  function handleDataDialogKeydown(event) {
+    if (event.key !== "Escape") {
+      return;
     }
+
+    event.preventDefault();
+    event.stopPropagation();
+    closeDataDialog();
   }
 
   function handleTemplateAddInputKeydown(event) {
@@ -1400,15 +5773,262 @@ function initApp() {
     templateToggleEl.focus();
   }
 
+  commandRegistry.register(() => [
+    {
+      id: "view-tasks",
+      group: "View",
+      title: "Show tasks",
+      run: () => setActiveView(VIEW_MODE_TASKS),
+    },
+    {
+      id: "view-completed",
+      group: "View",
+      title: "Show completed tasks",
+      run: () => setActiveView(VIEW_MODE_COMPLETED),
+    },
+    {
+      id: "view-today",
+      group: "View",
+      title: "Show tasks due today",
+      keywords: ["agenda", "overdue"],
+      run: () => setActiveView(VIEW_MODE_TODAY),
+    },
+    {
+      id: "view-upcoming",
+      group: "View",
+      title: "Show upcoming tasks",
+      keywords: ["agenda", "next two weeks"],
+      run: () => setActiveView(VIEW_MODE_UPCOMING),
+    },
+    {
+      id: "view-overdue",
+      group: "View",
+      title: "Show overdue tasks",
+      keywords: ["agenda", "late"],
+      run: () => setActiveView(VIEW_MODE_OVERDUE),
+    },
+    {
+      id: "view-calendar",
+      group: "View",
+      title: "Show calendar",
+      keywords: ["month", "schedule", "due"],
+      run: () => setActiveView(VIEW_MODE_CALENDAR),
+    },
+  ]);
+  commandRegistry.register(() =>
+    getFilterOptions(state.templates).map(([filterValue, label]) => ({
+      id: `filter:${filterValue}`,
+      group: "Filter",
+      title: label,
+      run: () => selectFilter(filterValue),
+    }))
+  );
+  commandRegistry.register(() => [
+    {
+      id: "create-template",
+      group: "Template",
+      title: "Create template",
+      input: {
+        placeholder: "Template name",
+        parse(text) {
+          const templateName = sanitizeTemplateName(text);
+          if (!templateName) {
+            return { error: "Enter a template name." };
+          }
+          const existing = findTemplateValue(state.templates, templateName);
+          return existing ? { error: `Template ${existing} already exists.` } : { value: templateName };
+        },
+      },
+      run: createTemplate,
+    },
+    ...state.templates.map((templateName) => ({
+      id: `delete-template:${getTemplateKey(templateName)}`,
+      group: "Template",
+      title: `Delete template ${templateName}`,
+      run: () => deleteTemplate(templateName),
+    })),
+  ]);
+  commandRegistry.register(() => [
+    ...[
+      ["Today", 0],
+      ["Tomorrow", 1],
+      ["Next week", 7],
+    ].map(([label, days]) => ({
+      id: `due-date:${days}`,
+      group: "Due date",
+      title: `Set due date to ${label.toLowerCase()}`,
+      run: () => setComposerDueDate(toIsoDateFromLocalDate(addDays(new Date(), days))),
+    })),
+    {
+      id: "due-date-pick",
+      group: "Due date",
+      title: "Set due date",
+      input: {
+        placeholder: "DD/MM/YYYY",
+        parse(text) {
+          const parsed = parseDueDateInput(text);
+          return parsed.status === "valid" ? { value: parsed.value } : { error: "Enter a date as DD/MM/YYYY." };
+        },
+      },
+      run: setComposerDueDate,
+    },
+    {
+      id: "due-date-clear",
+      group: "Due date",
+      title: "Clear due date",
+      run: () => setComposerDueDate(null),
+    },
+  ]);
+  commandRegistry.register(() =>
+    getOverdueTasks().length > 0
+      ? [
+          ...[
+            ["Today", 0],
+            ["Tomorrow", 1],
+            ["Next week", 7],
+          ].map(([label, days]) => ({
+            id: `reschedule-overdue:${days}`,
+            group: "Reschedule",
+            title: `${RESCHEDULE_OVERDUE_QUERY} to ${label.toLowerCase()}`,
+            run: () => rescheduleOverdueTasks(toIsoDateFromLocalDate(addDays(new Date(), days))),
+          })),
+          {
+            id: "reschedule-overdue-pick",
+            group: "Reschedule",
+            title: `${RESCHEDULE_OVERDUE_QUERY} to a date`,
+            input: {
+              placeholder: "DD/MM/YYYY",
+              parse(text) {
+                const parsed = parseDueDateInput(text);
+                return parsed.status === "valid" && parsed.value
+                  ? { value: parsed.value }
+                  : { error: "Enter a date as DD/MM/YYYY." };
+              },
+            },
+            run: rescheduleOverdueTasks,
+          },
+        ]
+      : []
+  );
+  commandRegistry.register(() => [
+    { id: "export-json", group: "Export", title: "Export JSON backup", run: handleExportJson },
+    { id: "export-ics", group: "Export", title: "Export calendar (.ics)", run: exportCalendarFromPalette },
+    { id: "export-todotxt", group: "Export", title: "Export todo.txt", run: handleExportTodoTxt },
+    { id: "export-markdown", group: "Export", title: "Export Markdown checklist", run: handleExportMarkdown },
+    {
+      id: "open-data-dialog",
+      group: "Export",
+      title: "Open import and export",
+      keywords: ["completed tasks report csv", "sync"],
+      run: openDataDialog,
+    },
+  ]);
+  commandRegistry.register(() => [
+    {
+      id: "toggle-sort",
+      group: "General",
+      title: state.sortMode === SORT_MODE_PRIORITY ? "Sort manually" : "Sort by priority",
+      run: handleSortToggleClick,
+    },
+    {
+      id: "show-shortcuts",
+      group: "General",
+      title: "Show keyboard shortcuts",
+      run: openShortcutsDialog,
+    },
+  ]);
+  commandRegistry.register(() =>
+    selectedTaskIds.size > 0
+      ? [
+          state.activeView === VIEW_MODE_COMPLETED
+            ? { id: "selection-reopen", group: "Selection", title: "Reopen selected tasks", run: reopenSelectedTasks }
+            : {
+                id: "selection-complete",
+                group: "Selection",
+                title: "Complete selected tasks",
+                run: completeSelectedTasks,
+              },
+          { id: "selection-delete", group: "Selection", title: "Delete selected tasks", run: deleteSelectedTasks },
+          {
+            id: "selection-clear-due-date",
+            group: "Selection",
+            title: "Clear due date of selected tasks",
+            run: () => setSelectedTasksDueDate(null),
+          },
+          { id: "selection-clear", group: "Selection", title: "Clear selection", run: clearSelection },
+        ]
+      : []
+  );
+  // Tasks are only listed once something is typed, so the empty palette stays a list of actions.
+  commandRegistry.register((query) =>
+    query
+      ? state.tasks.map((task) => ({
+          id: `task:${task.id}`,
+          group: task.completed ? "Completed task" : "Task",
+          title: getTextFromHTML(task.contentHtml),
+          run: () => revealTask(task.id),
+        }))
+      : []
+  );
+
+  storage.subscribe(handleRemoteChange);
+  updatePromptActionEl.addEventListener("click", handleUpdatePromptActionClick);
+  recoveryListEl.addEventListener("click", handleRecoveryListClick);
+  recoveryDiscardEl.addEventListener("click", handleRecoveryDiscardClick);
+  commandPaletteEl.addEventListener("click", handleCommandPaletteClick);
+  commandPaletteEl.addEventListener("keydown", handleCommandPaletteKeydown);
+  commandPaletteInputEl.addEventListener("input", handleCommandPaletteInput);
+  shortcutsDialogEl.addEventListener("click", handleShortcutsDialogClick);
+  shortcutsDialogEl.addEventListener("keydown", handleShortcutsDialogKeydown);
+  dataDialogToggleEl.addEventListener("click", openDataDialog);
+  dataDialogEl.addEventListener("click", handleDataDialogClick);
+  dataDialogEl.addEventListener("keydown", handleDataDialogKeydown);
+  dataImportInputEl.addEventListener("change", handleDataImportChange);
+
   initEditor(editorEl);
+  renderRecoveryBanner();
   renderApp();
   if (state.activeView === VIEW_MODE_TASKS) {
     focusEditor(editorEl);
   }
 
   editorEl.addEventListener("keydown", handleEditorKeydown);
+  editorEl.addEventListener("input", renderQuickAddPreview);
+  searchInputEl.addEventListener("input", handleSearchInput);
+  searchInputEl.addEventListener("keydown", handleSearchKeydown);
   taskListEl.addEventListener("click", handleTaskActionClick);
+  taskListEl.addEventListener("dblclick", handleTaskListDoubleClick);
+  taskListEl.addEventListener("keydown", handleTaskListKeydown);
+  taskListEl.addEventListener("pointerdown", handleTaskListPointerDown);
+  taskListEl.addEventListener("pointermove", handleTaskListPointerMove);
+  taskListEl.addEventListener("pointerup", handleTaskListPointerUp);
+  taskListEl.addEventListener("pointercancel", handleTaskListPointerCancel);
+  taskListEl.addEventListener("input", handleTaskListInput);
+  taskListEl.addEventListener("change", handleTaskListChange);
+  taskListEl.addEventListener("focusin", handleTaskListFocusIn);
+  taskListEl.addEventListener("focusout", handleTaskListFocusOut);
+  taskCalendarEl.addEventListener("click", handleTaskCalendarClick);
+  taskCalendarEl.addEventListener("change", handleTaskCalendarChange);
+  taskCalendarEl.addEventListener("input", handleTaskCalendarInput);
+  taskCalendarEl.addEventListener("keydown", handleTaskCalendarKeydown);
+  taskCalendarEl.addEventListener("focusout", handleTaskCalendarFocusOut);
+  taskCalendarEl.addEventListener("pointerdown", handleTaskCalendarPointerDown);
+  taskCalendarEl.addEventListener("pointermove", handleTaskCalendarPointerMove);
+  taskCalendarEl.addEventListener("pointerup", handleTaskCalendarPointerUp);
+  taskCalendarEl.addEventListener("pointercancel", handleTaskCalendarPointerCancel);
   completedTabToggleEl.addEventListener("click", handleCompletedTabToggle);
+  agendaViewControlsEl.addEventListener("click", handleAgendaViewClick);
+  calendarViewToggleEl.addEventListener("click", handleCalendarViewToggle);
+  selectionToggleEl.addEventListener("click", handleSelectionToggleClick);
+  rescheduleOverdueToggleEl.addEventListener("click", handleRescheduleOverdueClick);
+  selectionToolbarEl.addEventListener("click", handleSelectionToolbarClick);
+  selectionToolbarEl.addEventListener("change", handleSelectionToolbarChange);
+  selectionToolbarEl.addEventListener("focusin", handleSelectionToolbarFocusIn);
+  selectionToolbarEl.addEventListener("focusout", handleSelectionToolbarFocusOut);
+  selectionToolbarEl.addEventListener("keydown", handleSelectionToolbarKeydown);
+  projectViewToggleEl.addEventListener("click", handleProjectViewToggleClick);
+  projectViewMenuEl.addEventListener("click", handleProjectViewMenuAction);
+  projectViewMenuEl.addEventListener("submit", handleProjectViewMenuSubmit);
   filterToggleEl.addEventListener("click", handleFilterToggleClick);
   filterMenuEl.addEventListener("click", handleFilterMenuAction);
   dueDateToggleEl.addEventListener("click", handleDueDateToggleClick);
@@ -1418,18 +6038,57 @@ function initApp() {
   dueDateInputEl.addEventListener("blur", handleDueDateInputBlur);
   dueDateInputEl.addEventListener("keydown", handleDueDateInputKeydown);
   dueDateMenuEl.addEventListener("click", handleDueDateMenuAction);
+  dueDateTimeInputEl.addEventListener("change", commitDueTimeInputValue);
   templateToggleEl.addEventListener("click", handleTemplateToggleClick);
+  projectToggleEl.addEventListener("click", handleProjectToggleClick);
+  priorityToggleEl.addEventListener("click", handlePriorityToggleClick);
+  priorityMenuEl.addEventListener("click", handlePriorityMenuAction);
+  sortToggleEl.addEventListener("click", handleSortToggleClick);
+  recurrenceToggleEl.addEventListener("click", handleRecurrenceToggleClick);
+  recurrenceMenuEl.addEventListener("click", handleRecurrenceMenuAction);
+  recurrenceIntervalEl.addEventListener("input", handleRecurrenceDetailsInput);
+  recurrenceMonthDayEl.addEventListener("input", handleRecurrenceDetailsInput);
+  recurrenceIntervalEl.addEventListener("keydown", handleRecurrenceDetailsKeydown);
+  recurrenceMonthDayEl.addEventListener("keydown", handleRecurrenceDetailsKeydown);
+  projectMenuEl.addEventListener("click", handleProjectMenuAction);
   templateMenuEl.addEventListener("click", handleTemplateMenuAction);
   templateAddFormEl.addEventListener("submit", handleTemplateAddSubmit);
   templateAddInputEl.addEventListener("keydown", handleTemplateAddInputKeydown);
   document.addEventListener("pointerdown", handleHeaderDropdownOutsidePointerDown);
   document.addEventListener("keydown", handleHeaderDropdownKeydown);
+  document.addEventListener("keydown", handleHistoryKeydown);
+  document.addEventListener("keydown", handleTaskShortcutKeydown);
+  document.addEventListener("keydown", handleCommandPaletteShortcutKeydown);
+  toastActionEl.addEventListener("click", handleToastActionClick);
   window.addEventListener("pointerup", handleDueDatePickerPointerEnd, true);
   window.addEventListener("pointercancel", handleDueDatePickerPointerEnd, true);
   window.addEventListener("mouseup", handleDueDatePickerPointerEnd, true);
   window.addEventListener("blur", handleDueDatePickerPointerEnd);
   window.addEventListener("resize", handleViewportResize);
   window.addEventListener("scroll", handleDocumentScroll, true);
+  registerServiceWorker(showUpdatePrompt);
+  // A read-only tab would move the sync cursor past changes it can never store.
+  if (!READ_ONLY_RECOVERY_REASONS.has(recoveryReason)) {
+    serverSync.start(state, {
+      applyWorkspace: applyServerWorkspace,
+      onStatusChange: renderSyncStatus,
+    });
+  }
+  reminders.start({
+    getTasks: () => state.tasks,
+    openTask: revealTask,
+    showInAppReminder: (title, taskId) =>
+      showToast(`Reminder: ${title}`, {
+        label: `Snooze ${REMINDER_SNOOZE_MINUTES} min`,
+        run: () => reminders.snooze(taskId),
+      }),
+  });
+  openTaskFromUrl();
 }
 
-document.addEventListener("DOMContentLoaded", initApp);
+document.addEventListener("DOMContentLoaded", () => {
+  initApp().catch((error) => {
+    // Startup is async, so failures are reported like the uncaught errors a synchronous start raised.
+    reportError(error);
+  });
+});
@@ -0,0 +1,161 @@
+import { getTextFromHTML } from "./editor.js";
+import { isTaskOverdue } from "./tasks.js";
+
+const CALENDAR_WEEKS = 6;
+const DAYS_PER_WEEK = 7;
+const MAX_VISIBLE_CHIPS = 3;
+const DAY_LABEL_FORMATTER = new Intl.DateTimeFormat("en-GB", {
+  weekday: "long",
+  day: "numeric",
+  month: "long",
+  year: "numeric",
+});
+
+function toIsoDateFromLocalDate(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+}
+
+// Weeks start on Monday, matching the due-date picker, and always fill six rows.
+function getCalendarStartDate(viewDate) {
+  const firstDayOfMonth = new Date(viewDate.getFullYear(), viewDate.getMonth(), 1);
+  const startWeekday = (firstDayOfMonth.getDay() + 6) % 7;
+  return new Date(firstDayOfMonth.getFullYear(), firstDayOfMonth.getMonth(), 1 - startWeekday);
+}
+
+function groupTasksByDueDate(tasks) {
+  const tasksByDate = new Map();
+  tasks.forEach((task) => {
+    if (!tasksByDate.has(task.dueDate)) {
+      tasksByDate.set(task.dueDate, []);
+    }
+    tasksByDate.get(task.dueDate).push(task);
+  });
+  return tasksByDate;
+}
+
+function createTaskChip(task) {
+  const chip = document.createElement("button");
+  chip.type = "button";
+  chip.className = "task-calendar-chip";
+  chip.classList.toggle("is-overdue", isTaskOverdue(task));
+  chip.dataset.action = "calendar-open-task";
+  chip.dataset.taskId = task.id;
+  if (task.priority) {
+    chip.dataset.priority = String(task.priority);
+  }
+
+  const text = getTextFromHTML(task.contentHtml);
+  chip.textContent = task.dueTime ? `${task.dueTime} ${text}` : text;
+  chip.title = `${text}. Drag to another day, or press Alt with an arrow key, to reschedule`;
+  return chip;
+}
+
+function createDraftInput(isoDate, dayLabel, text) {
+  const input = document.createElement("input");
+  input.type = "text";
+  input.className = "task-calendar-input";
+  input.dataset.dueDate = isoDate;
+  input.placeholder = "New task";
+  input.value = text;
+  input.setAttribute("aria-label", `New task due ${dayLabel}`);
+  return input;
+}
+
+function createDayCell(date, dayTasks, options) {
+  const isoDate = toIsoDateFromLocalDate(date);
+  const isExpanded = options.expandedDate === isoDate;
+  const cell = document.createElement("div");
+  cell.className = "task-calendar-day";
+  cell.classList.toggle("is-outside", date.getMonth() !== options.viewDate.getMonth());
+  cell.classList.toggle("is-today", isoDate === options.todayIsoDate);
+  cell.classList.toggle("is-expanded", isExpanded);
+  cell.dataset.action = "calendar-add-task";
+  cell.dataset.dueDate = isoDate;
+  cell.setAttribute("role", "gridcell");
+  cell.setAttribute(
+    "aria-label",
+    `${DAY_LABEL_FORMATTER.format(date)}, ${dayTasks.length} ${dayTasks.length === 1 ? "task" : "tasks"}`
+  );
+
+  const dayButton = document.createElement("button");
+  dayButton.type = "button";
+  dayButton.className = "task-calendar-day-number";
+  dayButton.dataset.action = "calendar-add-task";
+  dayButton.dataset.dueDate = isoDate;
+  dayButton.setAttribute("aria-label", `Add a task due ${DAY_LABEL_FORMATTER.format(date)}`);
+  dayButton.textContent = String(date.getDate());
+  cell.append(dayButton);
+
+  const visibleTasks = isExpanded ? dayTasks : dayTasks.slice(0, MAX_VISIBLE_CHIPS);
+  visibleTasks.forEach((task) => {
+    cell.append(createTaskChip(task));
+  });
+
+  const hiddenCount = dayTasks.length - visibleTasks.length;
+  if (hiddenCount > 0 || (isExpanded && dayTasks.length > MAX_VISIBLE_CHIPS)) {
+    const moreButton = document.createElement("button");
+    moreButton.type = "button";
+    moreButton.className = "task-calendar-more";
+    moreButton.dataset.action = "calendar-toggle-day";
+    moreButton.dataset.dueDate = isoDate;
+    moreButton.setAttribute("aria-expanded", String(isExpanded));
+    moreButton.textContent = isExpanded ? "Show less" : `+${hiddenCount} more`;
+    cell.append(moreButton);
+  }
+
+  if (options.draft?.dueDate === isoDate) {
+    cell.append(createDraftInput(isoDate, DAY_LABEL_FORMATTER.format(date), options.draft.text));
+  }
+
+  return cell;
+}
+
+// The meter is scaled to the busiest week on screen so heavy weeks stand out at a glance.
+function createWeekTotal(taskCount, busiestWeekCount) {
+  const total = document.createElement("div");
+  total.className = "task-calendar-week-total";
+  total.classList.toggle("is-empty", taskCount === 0);
+  total.setAttribute("role", "gridcell");
+  total.setAttribute("aria-label", `${taskCount} ${taskCount === 1 ? "task" : "tasks"} this week`);
+  total.textContent = String(taskCount);
+
+  const meter = document.createElement("span");
+  meter.className = "task-calendar-week-meter";
+  meter.setAttribute("aria-hidden", "true");
+  meter.style.setProperty("--week-load", String(busiestWeekCount > 0 ? taskCount / busiestWeekCount : 0));
+  total.append(meter);
+  return total;
+}
+
+// Renders six Monday-first weeks around viewDate, each ending with the number of tasks due that week.
+export function renderTaskCalendar(container, tasks, options) {
+  container.innerHTML = "";
+  const tasksByDate = groupTasksByDueDate(tasks);
+  const startDate = getCalendarStartDate(options.viewDate);
+  const weeks = Array.from({ length: CALENDAR_WEEKS }, (_, week) =>
+    Array.from({ length: DAYS_PER_WEEK }, (_, day) => {
+      const date = new Date(
+        startDate.getFullYear(),
+        startDate.getMonth(),
+        startDate.getDate() + week * DAYS_PER_WEEK + day
+      );
+      return { date, tasks: tasksByDate.get(toIsoDateFromLocalDate(date)) || [] };
+    })
+  );
+  const weekTaskCounts = weeks.map((days) => days.reduce((count, day) => count + day.tasks.length, 0));
+  const busiestWeekCount = Math.max(...weekTaskCounts);
+  const fragment = document.createDocumentFragment();
+
+  weeks.forEach((days, week) => {
+    const row = document.createElement("div");
+    row.className = "task-calendar-week";
+    row.setAttribute("role", "row");
+    days.forEach((day) => {
+      row.append(createDayCell(day.date, day.tasks, options));
+    });
+    row.append(createWeekTotal(weekTaskCounts[week], busiestWeekCount));
+    fragment.append(row);
+  });
+
+  container.append(fragment);
+}
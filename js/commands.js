@@ -0,0 +1,67 @@
+const MAX_RESULTS = 50;
+const WORD_BOUNDARY_PATTERN = /[\s\-_:/.()"]/;
+
+// Query characters must appear in order; runs of consecutive characters, word starts and
+// plain substrings score higher. Returns null when the text does not match at all.
+function scoreFuzzyMatch(query, text) {
+  const haystack = text.toLowerCase();
+  const needle = query.toLowerCase().replace(/\s+/g, "");
+  let score = haystack.includes(query.toLowerCase()) ? needle.length * 2 : 0;
+  let textIndex = 0;
+  let previousIndex = -2;
+
+  for (const char of needle) {
+    const matchIndex = haystack.indexOf(char, textIndex);
+    if (matchIndex === -1) {
+      return null;
+    }
+
+    score += 1;
+    if (matchIndex === previousIndex + 1) {
+      score += 2;
+    }
+    if (matchIndex === 0 || WORD_BOUNDARY_PATTERN.test(haystack[matchIndex - 1])) {
+      score += 3;
+    }
+    previousIndex = matchIndex;
+    textIndex = matchIndex + 1;
+  }
+
+  // Shorter texts win ties, so "Show tasks" ranks above a long task that happens to match.
+  return score - haystack.length / 1000;
+}
+
+function scoreCommand(command, query) {
+  const candidates = [command.title, `${command.group} ${command.title}`, ...(command.keywords || [])];
+  return candidates.reduce((best, candidate) => {
+    const score = scoreFuzzyMatch(query, candidate);
+    return score !== null && (best === null || score > best) ? score : best;
+  }, null);
+}
+
+// Commands are { id, group, title, keywords?, run }. A command that needs a value first also
+// has input: { placeholder, parse(text) } returning { value } or { error }; run gets the value.
+export function createCommandRegistry() {
+  const providers = [];
+
+  return {
+    // Providers run on every search, so the commands they return always match the current state.
+    register(provider) {
+      providers.push(provider);
+    },
+    search(query) {
+      const trimmedQuery = query.trim();
+      const commands = providers.flatMap((provider) => provider(trimmedQuery));
+      if (!trimmedQuery) {
+        return commands.slice(0, MAX_RESULTS);
+      }
+
+      return commands
+        .map((command) => ({ command, score: scoreCommand(command, trimmedQuery) }))
+        .filter((entry) => entry.score !== null)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, MAX_RESULTS)
+        .map((entry) => entry.command);
+    },
+  };
+}
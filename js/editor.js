@@ -36,7 +36,7 @@ function sanitizeNode(node, documentRef) {
   return safeElement;
 }
 
-function sanitizeEditorHTML(html) {
+export function sanitizeEditorHTML(html) {
   const parser = new DOMParser();
   const parsed = parser.parseFromString(`<div>${html}</div>`, "text/html");
   const root = parsed.body.firstElementChild;
@@ -53,12 +53,21 @@ function sanitizeEditorHTML(html) {
   return safeRoot.innerHTML.trim();
 }
 
-function getTextFromHTML(html) {
-  const temp = document.createElement("div");
+// Markup read for its text may not be sanitized yet, so it is parsed in a document that never loads anything.
+const inertDocument = document.implementation.createHTMLDocument("");
+
+export function getTextFromHTML(html) {
+  const temp = inertDocument.createElement("div");
   temp.innerHTML = html;
   return (temp.textContent || "").replace(/\u00a0/g, " ").trim();
 }
 
+export function getHTMLFromText(text) {
+  const temp = document.createElement("div");
+  temp.textContent = text;
+  return temp.innerHTML;
+}
+
 function moveCaretToStart(editorEl) {
   const selection = window.getSelection();
   if (!selection) {
@@ -72,6 +81,19 @@ function moveCaretToStart(editorEl) {
   selection.addRange(range);
 }
 
+function moveCaretToEnd(editorEl) {
+  const selection = window.getSelection();
+  if (!selection) {
+    return;
+  }
+
+  const range = document.createRange();
+  range.selectNodeContents(editorEl);
+  range.collapse(false);
+  selection.removeAllRanges();
+  selection.addRange(range);
+}
+
 function syncEmptyState(editorEl) {
   const { plainText } = getEditorContent(editorEl);
   editorEl.dataset.empty = plainText.length === 0 ? "true" : "false";
@@ -114,11 +136,14 @@ export function clearEditor(editorEl) {
   editorEl.dataset.empty = "true";
 }
 
-export function focusEditor(editorEl) {
+export function focusEditor(editorEl, options = {}) {
   editorEl.focus();
 
   // Ensure caret is visible at the start when the editor is empty.
   if (!isEditorEmpty(editorEl)) {
+    if (options.atEnd) {
+      moveCaretToEnd(editorEl);
+    }
     return;
   }
 
@@ -0,0 +1,45 @@
+const DEFAULT_HISTORY_LIMIT = 50;
+
+function cloneSnapshot(snapshot) {
+  return JSON.parse(JSON.stringify(snapshot));
+}
+
+export function createHistory(limit = DEFAULT_HISTORY_LIMIT) {
+  const undoStack = [];
+  const redoStack = [];
+
+  return {
+    record(label, snapshot) {
+      undoStack.push({ label, snapshot: cloneSnapshot(snapshot) });
+      if (undoStack.length > limit) {
+        undoStack.shift();
+      }
+      redoStack.length = 0;
+    },
+
+    undo(currentSnapshot) {
+      const entry = undoStack.pop();
+      if (!entry) {
+        return null;
+      }
+
+      redoStack.push({ label: entry.label, snapshot: cloneSnapshot(currentSnapshot) });
+      return entry;
+    },
+
+    redo(currentSnapshot) {
+      const entry = redoStack.pop();
+      if (!entry) {
+        return null;
+      }
+
+      undoStack.push({ label: entry.label, snapshot: cloneSnapshot(currentSnapshot) });
+      return entry;
+    },
+
+    clear() {
+      undoStack.length = 0;
+      redoStack.length = 0;
+    },
+  };
+}
@@ -0,0 +1,219 @@
+import { getTextFromHTML } from "./editor.js";
+
+const UID_SUFFIX = "@taskdoit";
+const MAX_LINE_OCTETS = 75;
+const DATE_VALUE_PATTERN = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/;
+const textEncoder = new TextEncoder();
+
+function pad(value) {
+  return String(value).padStart(2, "0");
+}
+
+function formatDateValue(isoDate) {
+  return isoDate.replace(/-/g, "");
+}
+
+function formatDateTimeValue(isoDateTime) {
+  const date = new Date(isoDateTime);
+  if (Number.isNaN(date.getTime())) {
+    return null;
+  }
+
+  return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+}
+
+function escapeText(value) {
+  return value
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (match, character) =>
+    character === "n" || character === "N" ? "\n" : character
+  );
+}
+
+// Lines longer than 75 octets continue on the next line after a single space.
+function foldLine(line) {
+  const parts = [];
+  let current = "";
+  let currentOctets = 0;
+  Array.from(line).forEach((character) => {
+    const octets = textEncoder.encode(character).length;
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (currentOctets + octets > limit) {
+      parts.push(current);
+      current = "";
+      currentOctets = 0;
+    }
+    current += character;
+    currentOctets += octets;
+  });
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+function parseDateValue(value) {
+  const match = value.trim().match(DATE_VALUE_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month, day, hours, minutes, seconds, utc] = match;
+  if (!hours) {
+    return { date: `${year}-${month}-${day}`, dateTime: `${year}-${month}-${day}T00:00:00` };
+  }
+
+  const dateTime = `${year}-${month}-${day}T${hours}:${minutes}:${seconds}${utc ? "Z" : ""}`;
+  if (!utc) {
+    return { date: `${year}-${month}-${day}`, dateTime };
+  }
+
+  const local = new Date(dateTime);
+  return {
+    date: `${local.getFullYear()}-${pad(local.getMonth() + 1)}-${pad(local.getDate())}`,
+    dateTime: local.toISOString(),
+  };
+}
+
+function parseContentLine(line) {
+  const colonIndex = line.indexOf(":");
+  if (colonIndex === -1) {
+    return null;
+  }
+
+  const nameAndParams = line.slice(0, colonIndex);
+  const name = nameAndParams.split(";")[0].toUpperCase();
+  return { name, value: line.slice(colonIndex + 1) };
+}
+
+function getTaskIdFromUid(uid) {
+  return uid.endsWith(UID_SUFFIX) ? uid.slice(0, -UID_SUFFIX.length) : uid;
+}
+
+function createTodoLines(task, stamp) {
+  const lines = [
+    "BEGIN:VTODO",
+    `UID:${task.id}${UID_SUFFIX}`,
+    `DTSTAMP:${stamp}`,
+    `SUMMARY:${escapeText(getTextFromHTML(task.contentHtml))}`,
+    `DUE;VALUE=DATE:${formatDateValue(task.dueDate)}`,
+  ];
+  const created = formatDateTimeValue(task.createdAt);
+  if (created) {
+    lines.push(`CREATED:${created}`);
+  }
+  if (task.template) {
+    lines.push(`CATEGORIES:${escapeText(task.template)}`);
+  }
+
+  const completed = task.completed ? formatDateTimeValue(task.completedAt) : null;
+  lines.push(`STATUS:${task.completed ? "COMPLETED" : "NEEDS-ACTION"}`);
+  if (completed) {
+    lines.push(`COMPLETED:${completed}`, "PERCENT-COMPLETE:100");
+  }
+  lines.push("END:VTODO");
+  return lines;
+}
+
+export function buildCalendar(tasks) {
+  const stamp = formatDateTimeValue(new Date().toISOString());
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//TaskDoIt//Tasks//EN",
+    "CALSCALE:GREGORIAN",
+  ];
+  tasks
+    .filter((task) => task.dueDate)
+    .forEach((task) => {
+      lines.push(...createTodoLines(task, stamp));
+    });
+  lines.push("END:VCALENDAR");
+  return `${lines.map(foldLine).join("\r\n")}\r\n`;
+}
+
+export function parseCalendar(text) {
+  const lines = text.replace(/\r\n|\r/g, "\n").replace(/\n[ \t]/g, "").split("\n");
+  if (!lines.some((line) => line.trim().toUpperCase() === "BEGIN:VCALENDAR")) {
+    return null;
+  }
+
+  const entries = [];
+  let current = null;
+  // Components nested in a task, such as VALARM, have their own SUMMARY and DTSTART to skip.
+  let nestedDepth = 0;
+  lines.forEach((line) => {
+    const property = parseContentLine(line);
+    if (!property) {
+      return;
+    }
+
+    const value = property.value.trim();
+    if (property.name === "BEGIN" && (value === "VTODO" || value === "VEVENT")) {
+      current = {
+        uid: "",
+        summary: "",
+        dueDate: null,
+        completedAt: null,
+        createdAt: null,
+        status: "",
+        categories: [],
+      };
+      nestedDepth = 0;
+      return;
+    }
+
+    if (!current) {
+      return;
+    }
+
+    if (property.name === "BEGIN") {
+      nestedDepth += 1;
+      return;
+    }
+
+    if (nestedDepth > 0) {
+      nestedDepth -= property.name === "END" ? 1 : 0;
+      return;
+    }
+
+    if (property.name === "END" && (value === "VTODO" || value === "VEVENT")) {
+      entries.push({
+        taskId: current.uid ? getTaskIdFromUid(current.uid) : null,
+        summary: current.summary,
+        dueDate: current.dueDate,
+        completed: current.status === "COMPLETED" || current.completedAt !== null,
+        completedAt: current.completedAt,
+        createdAt: current.createdAt,
+        template: current.categories[0] || null,
+      });
+      current = null;
+      return;
+    }
+
+    if (property.name === "UID") {
+      current.uid = value;
+    } else if (property.name === "SUMMARY") {
+      current.summary = unescapeText(property.value).replace(/\s+/g, " ").trim();
+    } else if (property.name === "DUE" || (property.name === "DTSTART" && !current.dueDate)) {
+      current.dueDate = parseDateValue(value)?.date || null;
+    } else if (property.name === "COMPLETED") {
+      current.completedAt = parseDateValue(value)?.dateTime || null;
+    } else if (property.name === "CREATED") {
+      current.createdAt = parseDateValue(value)?.dateTime || null;
+    } else if (property.name === "STATUS") {
+      current.status = value.toUpperCase();
+    } else if (property.name === "CATEGORIES") {
+      current.categories = value
+        .split(/(?<!\\),/)
+        .map((category) => unescapeText(category).trim())
+        .filter((category) => category.length > 0);
+    }
+  });
+
+  return entries;
+}
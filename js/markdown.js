@@ -0,0 +1,167 @@
+import { getHTMLFromText, sanitizeEditorHTML } from "./editor.js";
+import { normalizeCompletedDate } from "./tasks.js";
+
+const CHECKLIST_ITEM_PATTERN = /^(\s*)[-*+] \[( |x|X)\] (.*)$/;
+const DUE_DATE_MARKER = "📅";
+const COMPLETED_DATE_MARKER = "✅";
+const MARKDOWN_DELIMITERS = {
+  b: "**",
+  i: "*",
+};
+
+function escapeMarkdown(text) {
+  return text.replace(/[\\`*_<[\]]/g, "\\$&").replace(/#(?=\p{L})/gu, "\\#");
+}
+
+function unescapeMarkdown(text) {
+  return text.replace(/\\([\\`*_<[\]#])/g, "$1");
+}
+
+// Tags cannot hold spaces, so they are written as "_" and a real underscore is doubled.
+function toTagName(name) {
+  return name.trim().replace(/_/g, "__").replace(/\s+/g, "_");
+}
+
+function fromTagName(tag) {
+  return tag.replace(/__?/g, (underscores) => (underscores === "__" ? "_" : " ")).trim();
+}
+
+function convertNodeToMarkdown(node) {
+  if (node.nodeType === Node.TEXT_NODE) {
+    return escapeMarkdown(node.textContent.replace(/\s+/g, " "));
+  }
+
+  if (node.nodeType !== Node.ELEMENT_NODE) {
+    return "";
+  }
+
+  const tagName = node.tagName.toLowerCase();
+  if (tagName === "br") {
+    return " ";
+  }
+
+  const inner = Array.from(node.childNodes).map(convertNodeToMarkdown).join("");
+  if (!inner.trim()) {
+    return inner;
+  }
+
+  if (tagName === "u") {
+    return `<u>${inner}</u>`;
+  }
+
+  const delimiter = MARKDOWN_DELIMITERS[tagName];
+  if (delimiter) {
+    // Emphasis markers must hug the text, so surrounding spaces stay outside them.
+    const [, leading, text, trailing] = inner.match(/^(\s*)(.*?)(\s*)$/s);
+    return `${leading}${delimiter}${text}${delimiter}${trailing}`;
+  }
+
+  return tagName === "p" ? ` ${inner} ` : inner;
+}
+
+function convertHtmlToMarkdown(html) {
+  const container = document.createElement("div");
+  container.innerHTML = html;
+  return Array.from(container.childNodes)
+    .map(convertNodeToMarkdown)
+    .join("")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function convertMarkdownToHtml(markdown) {
+  const placeholders = [];
+  const protectedText = markdown.replace(/\\([\\`*_<[\]#])/g, (match, character) => {
+    placeholders.push(character);
+    return `\u0000${placeholders.length - 1}\u0000`;
+  });
+
+  const html = getHTMLFromText(protectedText)
+    .replace(/\*\*(?=\S)(.+?)\*\*/g, "<b>$1</b>")
+    .replace(/__(?=\S)(.+?)__/g, "<b>$1</b>")
+    .replace(/\*(?=\S)(.+?)\*/g, "<i>$1</i>")
+    .replace(/(^|[^\p{L}\p{N}])_(?=\S)(.+?)_(?![\p{L}\p{N}])/gu, "$1<i>$2</i>")
+    .replace(/&lt;u&gt;(.+?)&lt;\/u&gt;/g, "<u>$1</u>")
+    .replace(/\u0000(\d+)\u0000/g, (match, index) => getHTMLFromText(placeholders[Number(index)]));
+  return sanitizeEditorHTML(html);
+}
+
+function createChecklistLine(text, completed, indent = "") {
+  return `${indent}- [${completed ? "x" : " "}] ${text}`;
+}
+
+export function buildMarkdownChecklist(tasks) {
+  const lines = [];
+  tasks.forEach((task) => {
+    const parts = [convertHtmlToMarkdown(task.contentHtml)];
+    if (task.template) {
+      parts.push(`#${toTagName(task.template)}`);
+    }
+    if (task.dueDate) {
+      parts.push(`${DUE_DATE_MARKER} ${task.dueDate}`);
+    }
+    const completedDate = task.completed ? normalizeCompletedDate(task.completedAt) : null;
+    if (completedDate) {
+      parts.push(`${COMPLETED_DATE_MARKER} ${completedDate}`);
+    }
+    lines.push(createChecklistLine(parts.join(" "), task.completed));
+
+    task.subtasks.forEach((subtask) => {
+      lines.push(createChecklistLine(escapeMarkdown(subtask.text), subtask.completed, "  "));
+    });
+  });
+  return `${lines.join("\n")}\n`;
+}
+
+function parseTaskText(text) {
+  let rest = text;
+  let dueDate = null;
+  let completedAt = null;
+  let template = null;
+
+  rest = rest.replace(new RegExp(`\\s*${DUE_DATE_MARKER}\\s*(\\d{4}-\\d{2}-\\d{2})`, "u"), (match, date) => {
+    dueDate = date;
+    return "";
+  });
+  rest = rest.replace(
+    new RegExp(`\\s*${COMPLETED_DATE_MARKER}\\s*(\\d{4}-\\d{2}-\\d{2})`, "u"),
+    (match, date) => {
+      completedAt = `${date}T12:00:00`;
+      return "";
+    }
+  );
+  rest = rest.replace(/(^|\s)(?<!\\)#(\p{L}[\p{L}\p{N}_-]*)(?=\s|$)/u, (match, leading, tag) => {
+    template = fromTagName(tag);
+    return leading;
+  });
+
+  return {
+    contentHtml: convertMarkdownToHtml(rest.trim()),
+    template,
+    dueDate,
+    completedAt,
+  };
+}
+
+export function parseMarkdownChecklist(text) {
+  const entries = [];
+  let parentIndent = null;
+  text.split(/\r?\n/).forEach((line) => {
+    const match = line.match(CHECKLIST_ITEM_PATTERN);
+    if (!match || !match[3].trim()) {
+      return;
+    }
+
+    const indent = match[1].replace(/\t/g, "    ").length;
+    const completed = match[2] !== " ";
+    const parent = entries[entries.length - 1];
+    if (parent && parentIndent !== null && indent > parentIndent) {
+      parent.subtasks.push({ text: unescapeMarkdown(match[3]).trim(), completed });
+      return;
+    }
+
+    parentIndent = indent;
+    entries.push({ ...parseTaskText(match[3]), completed, subtasks: [] });
+  });
+  return entries;
+}
@@ -0,0 +1,72 @@
+export const MIGRATION_ERROR_CORRUPT = "corrupt";
+export const MIGRATION_ERROR_NEWER = "newer";
+
+const LEGACY_AUTO_TEMPLATE = "GENERAL";
+const FIRST_VERSION = 1;
+
+function isLegacyAutoTemplate(value) {
+  return (
+    typeof value === "string" &&
+    value.replace(/\s+/g, " ").trim().toLocaleLowerCase() === LEGACY_AUTO_TEMPLATE.toLocaleLowerCase()
+  );
+}
+
+// Each step upgrades a payload saved at the previous version. Steps only reshape data;
+// dropping records that fail validation is left to the loader so nothing vanishes here.
+const MIGRATIONS = [
+  {
+    version: 2,
+    // Version 1 filed every task without a template under an automatic "GENERAL" one.
+    migrate(payload) {
+      return {
+        ...payload,
+        templates: Array.isArray(payload.templates)
+          ? payload.templates.filter((template) => !isLegacyAutoTemplate(template))
+          : [],
+        tasks: payload.tasks.map((task) =>
+          task && typeof task === "object" && isLegacyAutoTemplate(task.template)
+            ? { ...task, template: null }
+            : task
+        ),
+      };
+    },
+  },
+  {
+    version: 3,
+    migrate(payload) {
+      return {
+        ...payload,
+        projects: Array.isArray(payload.projects) ? payload.projects : [],
+      };
+    },
+  },
+];
+
+function getPayloadVersion(payload) {
+  return Number.isInteger(payload.version) && payload.version > FIRST_VERSION
+    ? payload.version
+    : FIRST_VERSION;
+}
+
+export function migratePayload(payload, targetVersion) {
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+    return { error: MIGRATION_ERROR_CORRUPT };
+  }
+
+  if (payload.tasks !== undefined && !Array.isArray(payload.tasks)) {
+    return { error: MIGRATION_ERROR_CORRUPT };
+  }
+
+  const version = getPayloadVersion(payload);
+  if (version > targetVersion) {
+    return { error: MIGRATION_ERROR_NEWER };
+  }
+
+  const migrated = MIGRATIONS.filter(
+    (migration) => migration.version > version && migration.version <= targetVersion
+  ).reduce(
+    (current, migration) => ({ ...migration.migrate(current), version: migration.version }),
+    { ...payload, tasks: payload.tasks || [], version }
+  );
+  return { payload: migrated };
+}
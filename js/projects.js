@@ -0,0 +1,70 @@
+const PROJECT_NAME_MAX_LENGTH = 40;
+
+function createProjectId() {
+  if (window.crypto && typeof window.crypto.randomUUID === "function") {
+    return `project-${window.crypto.randomUUID()}`;
+  }
+
+  return `project-${Date.now()}-${Math.random().toString(16).slice(2)}`;
+}
+
+function getProjectKey(name) {
+  return name.toLocaleLowerCase();
+}
+
+export function sanitizeProjectName(value) {
+  if (typeof value !== "string") {
+    return "";
+  }
+
+  return value.replace(/\s+/g, " ").trim().slice(0, PROJECT_NAME_MAX_LENGTH);
+}
+
+export function findProject(projects, projectId) {
+  if (typeof projectId !== "string") {
+    return null;
+  }
+
+  return projects.find((project) => project.id === projectId) || null;
+}
+
+export function findProjectByName(projects, name) {
+  const cleaned = sanitizeProjectName(name);
+  if (!cleaned) {
+    return null;
+  }
+
+  const nameKey = getProjectKey(cleaned);
+  return projects.find((project) => getProjectKey(project.name) === nameKey) || null;
+}
+
+export function createProject(name) {
+  return {
+    id: createProjectId(),
+    name: sanitizeProjectName(name),
+    archived: false,
+    createdAt: new Date().toISOString(),
+  };
+}
+
+export function sanitizeProject(project) {
+  if (!project || typeof project !== "object") {
+    return null;
+  }
+
+  if (typeof project.id !== "string" || project.id.trim().length === 0) {
+    return null;
+  }
+
+  const name = sanitizeProjectName(project.name);
+  if (!name) {
+    return null;
+  }
+
+  return {
+    id: project.id,
+    name,
+    archived: project.archived === true,
+    createdAt: typeof project.createdAt === "string" ? project.createdAt : new Date().toISOString(),
+  };
+}
@@ -0,0 +1,49 @@
+const SERVICE_WORKER_URL = "sw.js";
+const SKIP_WAITING_MESSAGE = "skip-waiting";
+
+export function registerServiceWorker(onUpdateReady) {
+  if (!("serviceWorker" in navigator) || !window.isSecureContext) {
+    return;
+  }
+
+  let updateRequested = false;
+
+  function notifyUpdate(worker) {
+    onUpdateReady(() => {
+      updateRequested = true;
+      worker.postMessage({ type: SKIP_WAITING_MESSAGE });
+    });
+  }
+
+  // Only the tab that asked for the update reloads, so other tabs keep whatever is being typed.
+  navigator.serviceWorker.addEventListener("controllerchange", () => {
+    if (updateRequested) {
+      updateRequested = false;
+      window.location.reload();
+    }
+  });
+
+  navigator.serviceWorker
+    .register(SERVICE_WORKER_URL)
+    .then((registration) => {
+      if (registration.waiting && navigator.serviceWorker.controller) {
+        notifyUpdate(registration.waiting);
+      }
+
+      registration.addEventListener("updatefound", () => {
+        const worker = registration.installing;
+        if (!worker) {
+          return;
+        }
+
+        worker.addEventListener("statechange", () => {
+          if (worker.state === "installed" && navigator.serviceWorker.controller) {
+            notifyUpdate(worker);
+          }
+        });
+      });
+    })
+    .catch(() => {
+      // The app works the same without offline support.
+    });
+}
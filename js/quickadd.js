@@ -0,0 +1,133 @@
+const TOKEN_END = "(?=[\\s.,;!?]|$)";
+const TEMPLATE_TOKEN_PATTERN = new RegExp(`(^|\\s)(#(\\p{L}[\\p{L}\\p{N}_-]*))${TOKEN_END}`, "u");
+const WEEKDAY_PATTERN =
+  "(sun(?:day)?|mon(?:day)?|tue(?:s|sday)?|wed(?:nesday)?|thu(?:r|rs|rsday)?|fri(?:day)?|sat(?:urday)?)";
+const WEEKDAY_PREFIXES = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+const DATE_TOKENS = [
+  {
+    pattern: new RegExp(`(^|\\s)(today)${TOKEN_END}`, "i"),
+    resolve: (match, today) => today,
+  },
+  {
+    pattern: new RegExp(`(^|\\s)(tomorrow|tmrw)${TOKEN_END}`, "i"),
+    resolve: (match, today) => addDays(today, 1),
+  },
+  {
+    pattern: new RegExp(`(^|\\s)(next ${WEEKDAY_PATTERN})${TOKEN_END}`, "i"),
+    resolve: (match, today) => {
+      const weekday = WEEKDAY_PREFIXES.indexOf(match[3].slice(0, 3).toLowerCase());
+      const offset = (weekday - today.getDay() + 7) % 7 || 7;
+      return addDays(today, offset);
+    },
+  },
+  {
+    pattern: new RegExp(`(^|\\s)(in (\\d{1,3}) (days?|weeks?))${TOKEN_END}`, "i"),
+    resolve: (match, today) => {
+      const amount = Number(match[3]);
+      return addDays(today, match[4].toLowerCase().startsWith("week") ? amount * 7 : amount);
+    },
+  },
+  {
+    pattern: new RegExp(`(^|\\s)((\\d{1,2})/(\\d{1,2})(?:/(\\d{4}|\\d{2}))?)${TOKEN_END}`),
+    resolve: (match, today) => {
+      const day = Number(match[3]);
+      const month = Number(match[4]);
+      if (match[5]) {
+        let year = Number(match[5]);
+        if (match[5].length === 2) {
+          year += year >= 70 ? 1900 : 2000;
+        }
+        return createValidDate(year, month, day);
+      }
+
+      // Without a year the date means its next occurrence, so "02/01" in December is next January.
+      const thisYear = createValidDate(today.getFullYear(), month, day);
+      if (thisYear && thisYear >= today) {
+        return thisYear;
+      }
+      return createValidDate(today.getFullYear() + 1, month, day);
+    },
+  },
+];
+
+function addDays(date, days) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+function createValidDate(year, month, day) {
+  const candidate = new Date(year, month - 1, day);
+  if (
+    candidate.getFullYear() !== year ||
+    candidate.getMonth() !== month - 1 ||
+    candidate.getDate() !== day
+  ) {
+    return null;
+  }
+
+  return candidate;
+}
+
+function toIsoDateFromLocalDate(date) {
+  return `${String(date.getFullYear()).padStart(4, "0")}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+}
+
+function removeToken(text, match) {
+  const start = match.index + match[1].length;
+  const end = start + match[2].length;
+  return `${text.slice(0, start)}${text.slice(end)}`.replace(/[ \u00a0]{2,}/g, " ");
+}
+
+function findDateToken(text, today) {
+  return DATE_TOKENS.reduce((earliest, token) => {
+    const match = text.match(token.pattern);
+    if (!match || (earliest && earliest.match.index <= match.index)) {
+      return earliest;
+    }
+
+    const date = token.resolve(match, today);
+    return date ? { match, dueDate: toIsoDateFromLocalDate(date) } : earliest;
+  }, null);
+}
+
+export function parseQuickAdd(html, now = new Date()) {
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const container = document.createElement("div");
+  container.innerHTML = html;
+
+  const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+  const textNodes = [];
+  while (walker.nextNode()) {
+    textNodes.push(walker.currentNode);
+  }
+
+  // The first template and the first date token win; anything after them stays as plain text.
+  let template = null;
+  let dueDate = null;
+  textNodes.forEach((textNode) => {
+    let text = textNode.nodeValue;
+    if (!template) {
+      const match = text.match(TEMPLATE_TOKEN_PATTERN);
+      if (match) {
+        template = match[3];
+        text = removeToken(text, match);
+      }
+    }
+
+    if (!dueDate) {
+      const token = findDateToken(text, today);
+      if (token) {
+        dueDate = token.dueDate;
+        text = removeToken(text, token.match);
+      }
+    }
+
+    textNode.nodeValue = text;
+  });
+
+  return {
+    html: template || dueDate ? container.innerHTML.trim() : html,
+    template,
+    dueDate,
+  };
+}
@@ -0,0 +1,181 @@
+const ISO_DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const WEEKDAY_SHORT_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const MAX_WEEK_INTERVAL = 52;
+
+export const RECURRENCE_TYPES = ["daily", "weekdays", "weekly", "monthly", "yearly"];
+
+function parseIsoDate(isoDate) {
+  if (typeof isoDate !== "string") {
+    return null;
+  }
+
+  const match = isoDate.trim().match(ISO_DATE_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  const year = Number(match[1]);
+  const month = Number(match[2]);
+  const day = Number(match[3]);
+  const candidate = new Date(year, month - 1, day);
+  if (
+    candidate.getFullYear() !== year ||
+    candidate.getMonth() !== month - 1 ||
+    candidate.getDate() !== day
+  ) {
+    return null;
+  }
+
+  return candidate;
+}
+
+function toIsoDateFromLocalDate(date) {
+  return `${String(date.getFullYear()).padStart(4, "0")}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+}
+
+function getDaysInMonth(year, monthIndex) {
+  return new Date(year, monthIndex + 1, 0).getDate();
+}
+
+function addDays(date, days) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+function getMondayFirstWeekday(date) {
+  return (date.getDay() + 6) % 7;
+}
+
+function getNextOccurrenceAfter(rule, date) {
+  if (rule.type === "daily") {
+    return addDays(date, 1);
+  }
+
+  if (rule.type === "weekdays") {
+    let candidate = addDays(date, 1);
+    while (candidate.getDay() === 0 || candidate.getDay() === 6) {
+      candidate = addDays(candidate, 1);
+    }
+    return candidate;
+  }
+
+  if (rule.type === "weekly") {
+    const days = rule.days.length > 0 ? rule.days : [date.getDay()];
+    const weekStart = addDays(date, -getMondayFirstWeekday(date));
+    for (let offset = getMondayFirstWeekday(date) + 1; offset < 7; offset += 1) {
+      const candidate = addDays(weekStart, offset);
+      if (days.includes(candidate.getDay())) {
+        return candidate;
+      }
+    }
+
+    const nextWeekStart = addDays(weekStart, rule.interval * 7);
+    for (let offset = 0; offset < 7; offset += 1) {
+      const candidate = addDays(nextWeekStart, offset);
+      if (days.includes(candidate.getDay())) {
+        return candidate;
+      }
+    }
+  }
+
+  if (rule.type === "monthly") {
+    const sameMonthDay = Math.min(rule.dayOfMonth, getDaysInMonth(date.getFullYear(), date.getMonth()));
+    if (sameMonthDay > date.getDate()) {
+      return new Date(date.getFullYear(), date.getMonth(), sameMonthDay);
+    }
+
+    const nextMonth = new Date(date.getFullYear(), date.getMonth() + 1, 1);
+    const day = Math.min(rule.dayOfMonth, getDaysInMonth(nextMonth.getFullYear(), nextMonth.getMonth()));
+    return new Date(nextMonth.getFullYear(), nextMonth.getMonth(), day);
+  }
+
+  // A date clamped from the anchor day (Feb 28 for a Feb 29 rule) goes back to the anchor next year.
+  const isClampedAnchor =
+    rule.dayOfMonth !== undefined &&
+    Math.min(rule.dayOfMonth, getDaysInMonth(date.getFullYear(), date.getMonth())) === date.getDate();
+  const anchorDay = isClampedAnchor ? rule.dayOfMonth : date.getDate();
+  const nextYear = date.getFullYear() + 1;
+  const day = Math.min(anchorDay, getDaysInMonth(nextYear, date.getMonth()));
+  return new Date(nextYear, date.getMonth(), day);
+}
+
+export function sanitizeRecurrence(rule) {
+  if (!rule || typeof rule !== "object" || !RECURRENCE_TYPES.includes(rule.type)) {
+    return null;
+  }
+
+  if (rule.type === "weekly") {
+    const interval = Number(rule.interval);
+    const days = Array.isArray(rule.days)
+      ? Array.from(new Set(rule.days.filter((day) => Number.isInteger(day) && day >= 0 && day <= 6)))
+      : [];
+    return {
+      type: "weekly",
+      interval: Number.isInteger(interval) ? Math.min(Math.max(interval, 1), MAX_WEEK_INTERVAL) : 1,
+      days: days.sort((a, b) => a - b),
+    };
+  }
+
+  if (rule.type === "monthly") {
+    const dayOfMonth = Number(rule.dayOfMonth);
+    return {
+      type: "monthly",
+      dayOfMonth: Number.isInteger(dayOfMonth) ? Math.min(Math.max(dayOfMonth, 1), 31) : 1,
+    };
+  }
+
+  if (rule.type === "yearly") {
+    const dayOfMonth = Number(rule.dayOfMonth);
+    return Number.isInteger(dayOfMonth) && dayOfMonth >= 1 && dayOfMonth <= 31
+      ? { type: "yearly", dayOfMonth }
+      : { type: "yearly" };
+  }
+
+  return { type: rule.type };
+}
+
+export function getNextDueDate(rule, dueDate, todayIsoDate) {
+  const recurrence = sanitizeRecurrence(rule);
+  if (!recurrence) {
+    return null;
+  }
+
+  const today = parseIsoDate(todayIsoDate) || new Date();
+  let candidate = getNextOccurrenceAfter(recurrence, parseIsoDate(dueDate) || today);
+  // Skip occurrences that are already in the past so a stale task does not respawn overdue.
+  while (toIsoDateFromLocalDate(candidate) < toIsoDateFromLocalDate(today)) {
+    candidate = getNextOccurrenceAfter(recurrence, candidate);
+  }
+
+  return toIsoDateFromLocalDate(candidate);
+}
+
+export function describeRecurrence(rule) {
+  const recurrence = sanitizeRecurrence(rule);
+  if (!recurrence) {
+    return "";
+  }
+
+  if (recurrence.type === "daily") {
+    return "Daily";
+  }
+
+  if (recurrence.type === "weekdays") {
+    return "Weekdays";
+  }
+
+  if (recurrence.type === "weekly") {
+    const period = recurrence.interval === 1 ? "Weekly" : `Every ${recurrence.interval} weeks`;
+    if (recurrence.days.length === 0) {
+      return period;
+    }
+
+    const mondayFirstDays = [...recurrence.days].sort((a, b) => ((a + 6) % 7) - ((b + 6) % 7));
+    return `${period} on ${mondayFirstDays.map((day) => WEEKDAY_SHORT_NAMES[day]).join(", ")}`;
+  }
+
+  if (recurrence.type === "monthly") {
+    return `Monthly on day ${recurrence.dayOfMonth}`;
+  }
+
+  return "Yearly";
+}
@@ -0,0 +1,308 @@
+import { getTextFromHTML } from "./editor.js";
+
+const REMINDER_OFFSETS = [
+  { minutes: 0, label: "At due time" },
+  { minutes: 10, label: "10 minutes before" },
+  { minutes: 60, label: "1 hour before" },
+  { minutes: 1440, label: "1 day before" },
+];
+
+const DUE_TIME_PATTERN = /^(\d{1,2}):(\d{2})$/;
+const ISO_DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const REMINDER_MESSAGE_TYPE = "taskdoit-reminder";
+const SNOOZE_MESSAGE = "snooze-reminder";
+const OPEN_TASK_MESSAGE = "open-task";
+const SNOOZE_ACTION = "snooze";
+export const REMINDER_SNOOZE_MINUTES = 10;
+// Must match the service worker, which stores snoozes here when no tab is open to take them.
+const SNOOZE_CACHE_NAME = "taskdoit-snoozed-reminders";
+// Reminders missed while the app was closed still show if they are this recent; older ones are skipped.
+const MISSED_REMINDER_WINDOW_MS = 60 * 60 * 1000;
+// Long timers drift while a laptop sleeps, so the next reminder is re-checked at least this often.
+const MAX_TIMER_DELAY_MS = 15 * 60 * 1000;
+const TITLE_MAX_LENGTH = 120;
+
+export function sanitizeDueTime(value) {
+  const match = typeof value === "string" ? value.trim().match(DUE_TIME_PATTERN) : null;
+  if (!match) {
+    return null;
+  }
+
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (hours > 23 || minutes > 59) {
+    return null;
+  }
+
+  return `${String(hours).padStart(2, "0")}:${match[2]}`;
+}
+
+export function sanitizeReminders(reminders) {
+  if (!Array.isArray(reminders)) {
+    return [];
+  }
+
+  return REMINDER_OFFSETS.map((offset) => offset.minutes).filter((minutes) =>
+    reminders.includes(minutes)
+  );
+}
+
+// The moment a task is due, or null when it has no due time and only counts by calendar day.
+export function getDueMoment(dueDate, dueTime) {
+  const dateMatch = typeof dueDate === "string" ? dueDate.match(ISO_DATE_PATTERN) : null;
+  const time = sanitizeDueTime(dueTime);
+  if (!dateMatch || !time) {
+    return null;
+  }
+
+  const [hours, minutes] = time.split(":").map(Number);
+  return new Date(Number(dateMatch[1]), Number(dateMatch[2]) - 1, Number(dateMatch[3]), hours, minutes);
+}
+
+export function describeReminders(reminders) {
+  const offsets = REMINDER_OFFSETS.filter((offset) => reminders.includes(offset.minutes));
+  if (offsets.length === 0) {
+    return "";
+  }
+
+  return offsets.length === 1 ? offsets[0].label : `${offsets.length} reminders`;
+}
+
+function createDefaultSettings() {
+  return {
+    // Reminders already shown, keyed by task, due moment and offset, so every tab shows each once.
+    delivered: {},
+    snoozed: {},
+  };
+}
+
+function getTaskTitle(task) {
+  const text = getTextFromHTML(task.contentHtml).replace(/\s+/g, " ").trim();
+  return text.length > TITLE_MAX_LENGTH ? `${text.slice(0, TITLE_MAX_LENGTH - 1)}…` : text;
+}
+
+function getReminderBody(dueMoment) {
+  const time = `${String(dueMoment.getHours()).padStart(2, "0")}:${String(dueMoment.getMinutes()).padStart(2, "0")}`;
+  const day = `${String(dueMoment.getDate()).padStart(2, "0")}/${String(dueMoment.getMonth() + 1).padStart(2, "0")}/${dueMoment.getFullYear()}`;
+  return dueMoment.getTime() <= Date.now() ? `Due now (${time})` : `Due ${day} at ${time}`;
+}
+
+export function createReminders(settingsKey) {
+  let hooks = null;
+  let timerId = 0;
+
+  // Settings are re-read before each change because every open tab writes to the same key.
+  function readSettings() {
+    try {
+      const parsed = JSON.parse(window.localStorage.getItem(settingsKey));
+      return parsed && typeof parsed === "object"
+        ? { ...createDefaultSettings(), ...parsed }
+        : createDefaultSettings();
+    } catch {
+      return createDefaultSettings();
+    }
+  }
+
+  function writeSettings(settings) {
+    try {
+      window.localStorage.setItem(settingsKey, JSON.stringify(settings));
+    } catch {
+      // Ignore persistence failures so the app remains usable.
+    }
+  }
+
+  function getPermission() {
+    return "Notification" in window ? window.Notification.permission : "unsupported";
+  }
+
+  async function requestPermission() {
+    if (getPermission() !== "default") {
+      return getPermission();
+    }
+
+    try {
+      return await window.Notification.requestPermission();
+    } catch {
+      return getPermission();
+    }
+  }
+
+  function getScheduledReminders(settings) {
+    const reminders = [];
+    hooks.getTasks().forEach((task) => {
+      if (task.completed) {
+        return;
+      }
+
+      const dueMoment = getDueMoment(task.dueDate, task.dueTime);
+      if (dueMoment) {
+        task.reminders.forEach((minutes) => {
+          reminders.push({
+            key: `${task.id}|${task.dueDate}T${task.dueTime}|${minutes}`,
+            task,
+            dueMoment,
+            remindAt: dueMoment.getTime() - minutes * 60 * 1000,
+          });
+        });
+      }
+
+      const snoozedUntil = settings.snoozed[task.id];
+      if (snoozedUntil) {
+        reminders.push({
+          key: `${task.id}|snooze|${snoozedUntil}`,
+          task,
+          dueMoment: dueMoment || new Date(snoozedUntil),
+          remindAt: snoozedUntil,
+        });
+      }
+    });
+    return reminders.filter((reminder) => !settings.delivered[reminder.key]);
+  }
+
+  async function showReminder(reminder) {
+    const title = getTaskTitle(reminder.task);
+    const options = {
+      body: getReminderBody(reminder.dueMoment),
+      tag: `${REMINDER_MESSAGE_TYPE}-${reminder.task.id}`,
+      icon: "favicon.svg",
+      data: { type: REMINDER_MESSAGE_TYPE, taskId: reminder.task.id },
+    };
+
+    if (getPermission() !== "granted") {
+      hooks.showInAppReminder(title, reminder.task.id);
+      return;
+    }
+
+    // Only notifications shown through the service worker can carry a snooze button.
+    const registration =
+      "serviceWorker" in navigator ? await navigator.serviceWorker.getRegistration() : null;
+    if (registration) {
+      await registration.showNotification(title, {
+        ...options,
+        renotify: true,
+        actions: [{ action: SNOOZE_ACTION, title: `Snooze ${REMINDER_SNOOZE_MINUTES} min` }],
+      });
+      return;
+    }
+
+    const notification = new window.Notification(title, options);
+    notification.addEventListener("click", () => {
+      window.focus();
+      hooks.openTask(reminder.task.id);
+    });
+  }
+
+  function deliverDueReminders() {
+    const settings = readSettings();
+    const now = Date.now();
+    const dueReminders = getScheduledReminders(settings).filter((reminder) => reminder.remindAt <= now);
+    if (dueReminders.length === 0) {
+      return;
+    }
+
+    dueReminders.forEach((reminder) => {
+      settings.delivered[reminder.key] = now;
+      if (reminder.key.includes("|snooze|")) {
+        delete settings.snoozed[reminder.task.id];
+      }
+    });
+    writeSettings(settings);
+    dueReminders
+      .filter((reminder) => now - reminder.remindAt <= MISSED_REMINDER_WINDOW_MS)
+      .forEach((reminder) => {
+        showReminder(reminder).catch(() => {
+          hooks.showInAppReminder(getTaskTitle(reminder.task), reminder.task.id);
+        });
+      });
+  }
+
+  // Keys for tasks that are gone or finished are dropped so the stored list stays small.
+  function pruneSettings() {
+    const settings = readSettings();
+    const activeTaskIds = new Set(
+      hooks.getTasks().filter((task) => !task.completed).map((task) => task.id)
+    );
+    const isActiveKey = (key) => activeTaskIds.has(key.split("|")[0]);
+    settings.delivered = Object.fromEntries(
+      Object.entries(settings.delivered).filter(([key]) => isActiveKey(key))
+    );
+    settings.snoozed = Object.fromEntries(
+      Object.entries(settings.snoozed).filter(([taskId]) => activeTaskIds.has(taskId))
+    );
+    writeSettings(settings);
+  }
+
+  function schedule() {
+    if (!hooks) {
+      return;
+    }
+
+    window.clearTimeout(timerId);
+    deliverDueReminders();
+    const now = Date.now();
+    const nextRemindAt = getScheduledReminders(readSettings()).reduce(
+      (earliest, reminder) => Math.min(earliest, reminder.remindAt),
+      Infinity
+    );
+    if (nextRemindAt !== Infinity) {
+      timerId = window.setTimeout(schedule, Math.min(Math.max(nextRemindAt - now, 0), MAX_TIMER_DELAY_MS));
+    }
+  }
+
+  function snooze(taskId, snoozedAt = Date.now()) {
+    const settings = readSettings();
+    settings.snoozed[taskId] = snoozedAt + REMINDER_SNOOZE_MINUTES * 60 * 1000;
+    writeSettings(settings);
+    schedule();
+  }
+
+  async function takeStoredSnoozes() {
+    if (!("caches" in window) || !(await window.caches.has(SNOOZE_CACHE_NAME))) {
+      return;
+    }
+
+    const cache = await window.caches.open(SNOOZE_CACHE_NAME);
+    const requests = await cache.keys();
+    await Promise.all(
+      requests.map(async (request) => {
+        const response = await cache.match(request);
+        const { taskId, snoozedAt } = response ? await response.json() : {};
+        await cache.delete(request);
+        if (typeof taskId === "string" && Number.isFinite(snoozedAt)) {
+          snooze(taskId, snoozedAt);
+        }
+      })
+    );
+  }
+
+  function handleServiceWorkerMessage(event) {
+    const message = event.data;
+    if (!message || typeof message.taskId !== "string") {
+      return;
+    }
+
+    if (message.type === SNOOZE_MESSAGE && Number.isFinite(message.snoozedAt)) {
+      snooze(message.taskId, message.snoozedAt);
+    } else if (message.type === OPEN_TASK_MESSAGE) {
+      hooks.openTask(message.taskId);
+    }
+  }
+
+  return {
+    start(nextHooks) {
+      hooks = nextHooks;
+      if ("serviceWorker" in navigator) {
+        navigator.serviceWorker.addEventListener("message", handleServiceWorkerMessage);
+      }
+      pruneSettings();
+      schedule();
+      takeStoredSnoozes().catch(() => {
+        // A snooze that cannot be read is dropped, like a reminder missed while the app was closed.
+      });
+    },
+    reschedule: schedule,
+    snooze,
+    getPermission,
+    requestPermission,
+  };
+}
@@ -0,0 +1,81 @@
+import { getTextFromHTML } from "./editor.js";
+import { getCompletionStatus, normalizeCompletedDate } from "./tasks.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CSV_COLUMNS = [
+  "Task",
+  "Template",
+  "Due date",
+  "Completed date",
+  "Status",
+  "Days late (negative = early)",
+];
+const STATUS_LABELS = {
+  "on-time": "On time",
+  late: "Late",
+};
+
+function getDayNumber(isoDate) {
+  const [year, month, day] = isoDate.split("-").map(Number);
+  return Date.UTC(year, month - 1, day) / DAY_MS;
+}
+
+function escapeCsvField(value) {
+  let text = String(value ?? "");
+  // Spreadsheet apps run cells that start with these characters as formulas.
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatNumberField(value) {
+  return value === null ? "" : String(value);
+}
+
+function isWithinRange(isoDate, from, to) {
+  if (from && isoDate < from) {
+    return false;
+  }
+
+  return !(to && isoDate > to);
+}
+
+export function getCompletedTaskRows(tasks, { from = null, to = null } = {}) {
+  return tasks
+    .filter((task) => task.completed)
+    .map((task) => {
+      const completedDate = normalizeCompletedDate(task.completedAt);
+      const status = getCompletionStatus(task.dueDate, task.completedAt);
+      return {
+        text: getTextFromHTML(task.contentHtml),
+        template: task.template || "",
+        dueDate: task.dueDate || "",
+        completedDate: completedDate || "",
+        status: STATUS_LABELS[status] || "No due date",
+        daysLate: status ? getDayNumber(completedDate) - getDayNumber(task.dueDate) : null,
+      };
+    })
+    .filter((row) => row.completedDate && isWithinRange(row.completedDate, from, to))
+    .sort((a, b) => a.completedDate.localeCompare(b.completedDate));
+}
+
+export function buildCompletedTasksCsv(rows) {
+  const lines = [CSV_COLUMNS.map(escapeCsvField).join(",")];
+  rows.forEach((row) => {
+    lines.push(
+      [
+        escapeCsvField(row.text),
+        escapeCsvField(row.template),
+        row.dueDate,
+        row.completedDate,
+        row.status,
+        formatNumberField(row.daysLate),
+      ].join(",")
+    );
+  });
+
+  // The byte order mark lets spreadsheet apps detect UTF-8 on open.
+  return `\ufeff${lines.join("\r\n")}\r\n`;
+}
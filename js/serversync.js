@@ -0,0 +1,539 @@
+export const SYNC_SOURCE_TYPE = "sync";
+
+const DELETED_FIELD = "deleted";
+const PUSH_DELAY_MS = 1500;
+const POLL_INTERVAL_MS = 60 * 1000;
+// Removed records are forgotten this long after removal, once every queued write for them is sent.
+const TOMBSTONE_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+const RECORD_KINDS = {
+  task: {
+    fields: [
+      "contentHtml",
+      "template",
+      "dueDate",
+      "dueTime",
+      "reminders",
+      "createdAt",
+      "completed",
+      "completedAt",
+      "projectId",
+      "subtasks",
+      "autoComplete",
+      "recurrence",
+      "priority",
+      "order",
+      "rescheduleCount",
+      "nextOccurrenceId",
+    ],
+  },
+  project: {
+    fields: ["name", "archived", "createdAt"],
+  },
+  template: {
+    fields: ["name"],
+  },
+};
+
+function createDeviceId() {
+  if (window.crypto && typeof window.crypto.randomUUID === "function") {
+    return `device-${window.crypto.randomUUID()}`;
+  }
+
+  return `device-${Date.now()}-${Math.random().toString(16).slice(2)}`;
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function serialize(value) {
+  return JSON.stringify(value ?? null);
+}
+
+function getRecordKey(kind, id) {
+  return `${kind}:${id}`;
+}
+
+function getChangeKey(change) {
+  return `${getRecordKey(change.kind, change.id)}:${change.field}`;
+}
+
+// Later timestamps win; the device id breaks ties so every device settles on the same value.
+function isNewerStamp(change, stamp) {
+  if (!stamp) {
+    return true;
+  }
+
+  if (change.updatedAt !== stamp.updatedAt) {
+    return change.updatedAt > stamp.updatedAt;
+  }
+
+  return change.deviceId > stamp.deviceId;
+}
+
+function getTemplateRecordId(name) {
+  return name.toLocaleLowerCase();
+}
+
+function toRecordMaps(workspace) {
+  return {
+    task: new Map(workspace.tasks.map((task) => [task.id, clone(task)])),
+    project: new Map(workspace.projects.map((project) => [project.id, clone(project)])),
+    template: new Map(
+      workspace.templates.map((name) => {
+        const id = getTemplateRecordId(name);
+        return [id, { id, name }];
+      })
+    ),
+  };
+}
+
+// Remote records the app could not load yet, such as a task whose text has not arrived, are kept
+// aside so later changes to them build on the fields that came before.
+function getPendingRecords(records, loadedRecords) {
+  const pendingRecords = {};
+  Object.keys(RECORD_KINDS).forEach((kind) => {
+    records[kind].forEach((record, id) => {
+      if (!loadedRecords[kind].has(id)) {
+        pendingRecords[getRecordKey(kind, id)] = record;
+      }
+    });
+  });
+  return pendingRecords;
+}
+
+function getNewestStamp(stamps) {
+  return Object.values(stamps || {}).reduce(
+    (newest, stamp) => (stamp.updatedAt > newest ? stamp.updatedAt : newest),
+    ""
+  );
+}
+
+function pruneSettings(settings, now) {
+  const queuedRecordKeys = new Set(
+    settings.outbox.map((change) => getRecordKey(change.kind, change.id))
+  );
+  const expiredBefore = new Date(now - TOMBSTONE_RETENTION_MS).toISOString();
+  const forget = (recordKey) => {
+    delete settings.fieldStamps[recordKey];
+    delete settings.deletedRecords[recordKey];
+    delete settings.pendingRecords[recordKey];
+  };
+
+  Object.keys(settings.deletedRecords).forEach((recordKey) => {
+    if (settings.deletedRecords[recordKey] !== true) {
+      delete settings.deletedRecords[recordKey];
+      return;
+    }
+
+    if (queuedRecordKeys.has(recordKey)) {
+      return;
+    }
+
+    const deletedStamp = settings.fieldStamps[recordKey]?.[DELETED_FIELD];
+    if (!deletedStamp || deletedStamp.updatedAt < expiredBefore) {
+      forget(recordKey);
+      return;
+    }
+
+    // The tombstone alone blocks older field edits, and a restore resends every field anyway.
+    settings.fieldStamps[recordKey] = { [DELETED_FIELD]: deletedStamp };
+  });
+
+  Object.keys(settings.pendingRecords).forEach((recordKey) => {
+    if (getNewestStamp(settings.fieldStamps[recordKey]) < expiredBefore) {
+      forget(recordKey);
+    }
+  });
+}
+
+function toWorkspace(records) {
+  return {
+    tasks: Array.from(records.task.values()),
+    projects: Array.from(records.project.values()),
+    templates: Array.from(records.template.values()).map((record) => record.name),
+  };
+}
+
+function diffRecords(previous, next) {
+  const changes = [];
+  Object.entries(RECORD_KINDS).forEach(([kind, { fields }]) => {
+    next[kind].forEach((record, id) => {
+      const previousRecord = previous[kind].get(id);
+      if (!previousRecord) {
+        changes.push({ kind, id, field: DELETED_FIELD, value: false });
+      }
+      fields.forEach((field) => {
+        if (!previousRecord || serialize(previousRecord[field]) !== serialize(record[field])) {
+          changes.push({ kind, id, field, value: record[field] ?? null });
+        }
+      });
+    });
+
+    previous[kind].forEach((record, id) => {
+      if (!next[kind].has(id)) {
+        changes.push({ kind, id, field: DELETED_FIELD, value: true });
+      }
+    });
+  });
+  return changes;
+}
+
+function getChangesUrl(endpoint, cursor) {
+  const url = `${endpoint.replace(/\/+$/, "")}/changes`;
+  return cursor ? `${url}?since=${encodeURIComponent(cursor)}` : url;
+}
+
+async function sendRequest(url, options = {}) {
+  const response = await fetch(url, {
+    ...options,
+    headers: { "Content-Type": "application/json", Accept: "application/json" },
+  });
+  if (!response.ok) {
+    throw new Error(`The sync server answered ${response.status}.`);
+  }
+
+  return response;
+}
+
+function createDefaultSettings() {
+  return {
+    endpoint: null,
+    deviceId: createDeviceId(),
+    cursor: null,
+    lastSyncedAt: null,
+    // Last accepted write per record field, as { updatedAt, deviceId }.
+    fieldStamps: {},
+    // Only removed records are listed; the entry is dropped when the record comes back.
+    deletedRecords: {},
+    pendingRecords: {},
+    outbox: [],
+  };
+}
+
+// Field-level sync with a REST change log; see docs/sync-protocol.md for the contract.
+export function createServerSync(settingsKey) {
+  let shadow = null;
+  let hooks = null;
+  let applyingRemote = false;
+  let syncing = false;
+  let syncQueued = false;
+  let cachedSettingsText = null;
+  let cachedSettings = null;
+  let lastError = null;
+  let pushTimerId = 0;
+  let pollTimerId = 0;
+
+  function parseSettings(text) {
+    try {
+      const parsed = JSON.parse(text);
+      return parsed && typeof parsed === "object"
+        ? { ...createDefaultSettings(), ...parsed }
+        : createDefaultSettings();
+    } catch {
+      return createDefaultSettings();
+    }
+  }
+
+  // Settings are re-read before each change because every open tab writes to the same key. They
+  // are only parsed again when the stored text changed; callers get their own top-level copies
+  // since they replace entries in place before writing.
+  function readSettings() {
+    const text = window.localStorage.getItem(settingsKey);
+    if (text !== cachedSettingsText || !cachedSettings) {
+      cachedSettingsText = text;
+      cachedSettings = parseSettings(text);
+    }
+
+    return {
+      ...cachedSettings,
+      fieldStamps: { ...cachedSettings.fieldStamps },
+      deletedRecords: { ...cachedSettings.deletedRecords },
+      pendingRecords: { ...cachedSettings.pendingRecords },
+      outbox: [...cachedSettings.outbox],
+    };
+  }
+
+  function hasSettings() {
+    return window.localStorage.getItem(settingsKey) !== null;
+  }
+
+  function writeSettings(settings) {
+    try {
+      window.localStorage.setItem(settingsKey, JSON.stringify(settings));
+    } catch {
+      // Ignore persistence failures so the app remains usable.
+    }
+  }
+
+  function notifyStatus() {
+    hooks?.onStatusChange(getStatus());
+  }
+
+  function getStatus() {
+    const settings = readSettings();
+    return {
+      endpoint: settings.endpoint,
+      pendingCount: settings.outbox.length,
+      lastSyncedAt: settings.lastSyncedAt,
+      error: lastError,
+      syncing,
+    };
+  }
+
+  function setDeleted(settings, recordKey, deleted) {
+    if (deleted) {
+      settings.deletedRecords[recordKey] = true;
+    } else {
+      delete settings.deletedRecords[recordKey];
+    }
+  }
+
+  function stampChanges(settings, changes, updatedAt) {
+    return changes.map((change) => {
+      const stamped = { ...change, updatedAt, deviceId: settings.deviceId };
+      const recordKey = getRecordKey(change.kind, change.id);
+      settings.fieldStamps[recordKey] = {
+        ...settings.fieldStamps[recordKey],
+        [change.field]: { updatedAt, deviceId: settings.deviceId },
+      };
+      if (change.field === DELETED_FIELD) {
+        setDeleted(settings, recordKey, change.value === true);
+      }
+      return stamped;
+    });
+  }
+
+  // Only the newest queued write per field is kept, so a long offline session stays small.
+  function enqueue(settings, changes) {
+    const replacedKeys = new Set(changes.map(getChangeKey));
+    settings.outbox = [
+      ...settings.outbox.filter((change) => !replacedKeys.has(getChangeKey(change))),
+      ...changes,
+    ];
+  }
+
+  function schedulePush() {
+    window.clearTimeout(pushTimerId);
+    pushTimerId = window.setTimeout(sync, PUSH_DELAY_MS);
+  }
+
+  function track(workspace) {
+    if (!shadow) {
+      return;
+    }
+
+    const next = toRecordMaps(workspace);
+    const changes = applyingRemote || !hasSettings() ? [] : diffRecords(shadow, next);
+    shadow = next;
+    if (changes.length === 0) {
+      return;
+    }
+
+    // Once sync has been set up, stamps are kept while it is off too, so turning it back on
+    // sends those edits with their real times.
+    const settings = readSettings();
+    const stamped = stampChanges(settings, changes, new Date().toISOString());
+    if (settings.endpoint) {
+      enqueue(settings, stamped);
+      schedulePush();
+    }
+    writeSettings(settings);
+    notifyStatus();
+  }
+
+  function applyRemoteChanges(settings, changes) {
+    const records = {
+      task: new Map(shadow.task),
+      project: new Map(shadow.project),
+      template: new Map(shadow.template),
+    };
+    Object.entries(settings.pendingRecords).forEach(([recordKey, record]) => {
+      const kind = recordKey.slice(0, recordKey.indexOf(":"));
+      if (records[kind] && !records[kind].has(record.id)) {
+        records[kind].set(record.id, record);
+      }
+    });
+    let changed = false;
+
+    changes.forEach((change) => {
+      const kind = RECORD_KINDS[change.kind];
+      if (!kind || typeof change.id !== "string" || change.deviceId === settings.deviceId) {
+        return;
+      }
+
+      if (change.field !== DELETED_FIELD && !kind.fields.includes(change.field)) {
+        return;
+      }
+
+      const recordKey = getRecordKey(change.kind, change.id);
+      const stamps = settings.fieldStamps[recordKey] || {};
+      if (!isNewerStamp(change, stamps[change.field])) {
+        return;
+      }
+
+      settings.fieldStamps[recordKey] = {
+        ...stamps,
+        [change.field]: { updatedAt: change.updatedAt, deviceId: change.deviceId },
+      };
+      // A queued local write for this field lost, so it must not overwrite the newer value later.
+      settings.outbox = settings.outbox.filter((queued) => getChangeKey(queued) !== getChangeKey(change));
+      changed = true;
+
+      const recordMap = records[change.kind];
+      if (change.field === DELETED_FIELD) {
+        setDeleted(settings, recordKey, change.value === true);
+        if (change.value === true) {
+          recordMap.delete(change.id);
+        }
+        return;
+      }
+
+      if (settings.deletedRecords[recordKey] === true) {
+        return;
+      }
+
+      const record = recordMap.get(change.id) || {
+        id: change.id,
+        ...(change.kind === "task" ? { sourceType: SYNC_SOURCE_TYPE } : {}),
+      };
+      recordMap.set(change.id, { ...record, [change.field]: clone(change.value) });
+    });
+
+    return changed ? records : null;
+  }
+
+  async function push() {
+    const batch = readSettings().outbox;
+    if (batch.length === 0) {
+      return;
+    }
+
+    const { deviceId, endpoint } = readSettings();
+    await sendRequest(getChangesUrl(endpoint, null), {
+      method: "POST",
+      body: JSON.stringify({ deviceId, changes: batch }),
+    });
+    const sentKeys = new Set(batch.map((change) => `${getChangeKey(change)}@${change.updatedAt}`));
+    const settings = readSettings();
+    settings.outbox = settings.outbox.filter(
+      (change) => !sentKeys.has(`${getChangeKey(change)}@${change.updatedAt}`)
+    );
+    writeSettings(settings);
+  }
+
+  async function pull() {
+    const { endpoint, cursor } = readSettings();
+    const response = await (await sendRequest(getChangesUrl(endpoint, cursor))).json();
+    const changes = Array.isArray(response?.changes) ? response.changes : [];
+    const settings = readSettings();
+    const records = applyRemoteChanges(settings, changes);
+    settings.cursor = response?.cursor ?? settings.cursor;
+    writeSettings(settings);
+    if (!records) {
+      return;
+    }
+
+    // The app saves what it could load, which calls track and leaves exactly those records in shadow.
+    applyingRemote = true;
+    try {
+      shadow = records;
+      hooks.applyWorkspace(toWorkspace(records));
+    } finally {
+      applyingRemote = false;
+    }
+    const nextSettings = readSettings();
+    nextSettings.pendingRecords = getPendingRecords(records, shadow);
+    writeSettings(nextSettings);
+  }
+
+  async function sync() {
+    window.clearTimeout(pushTimerId);
+    if (!shadow || !readSettings().endpoint) {
+      return;
+    }
+
+    // Edits made during a sync may miss the running push, so one more sync follows it.
+    if (syncing) {
+      syncQueued = true;
+      return;
+    }
+
+    syncing = true;
+    notifyStatus();
+    try {
+      await push();
+      await pull();
+      const settings = readSettings();
+      settings.lastSyncedAt = new Date().toISOString();
+      pruneSettings(settings, Date.now());
+      writeSettings(settings);
+      lastError = null;
+    } catch (error) {
+      // Offline or failing requests keep the outbox; the next attempt replays it.
+      lastError = error instanceof Error ? error.message : String(error);
+    } finally {
+      syncing = false;
+      notifyStatus();
+    }
+
+    if (syncQueued) {
+      syncQueued = false;
+      await sync();
+    }
+  }
+
+  function startPolling() {
+    window.clearInterval(pollTimerId);
+    pollTimerId = readSettings().endpoint ? window.setInterval(sync, POLL_INTERVAL_MS) : 0;
+  }
+
+  return {
+    start(workspace, nextHooks) {
+      hooks = nextHooks;
+      shadow = toRecordMaps(workspace);
+      window.addEventListener("online", sync);
+      startPolling();
+      notifyStatus();
+      sync();
+    },
+    track,
+    // Changes another tab already recorded are taken over without being stamped a second time.
+    adopt(workspace) {
+      if (shadow) {
+        shadow = toRecordMaps(workspace);
+      }
+    },
+    sync,
+    getStatus,
+    enable(endpoint) {
+      const settings = readSettings();
+      const isNewEndpoint = settings.endpoint !== endpoint;
+      settings.endpoint = endpoint;
+      if (isNewEndpoint) {
+        // A different server starts from the beginning of its log and gets every record.
+        settings.cursor = null;
+        const changes = diffRecords(toRecordMaps({ tasks: [], projects: [], templates: [] }), shadow);
+        const stamped = changes.map((change) => {
+          const stamp = settings.fieldStamps[getRecordKey(change.kind, change.id)]?.[change.field];
+          return stamp ? { ...change, ...stamp } : stampChanges(settings, [change], new Date().toISOString())[0];
+        });
+        settings.outbox = [];
+        enqueue(settings, stamped);
+      }
+      writeSettings(settings);
+      lastError = null;
+      startPolling();
+      sync();
+    },
+    disable() {
+      const settings = readSettings();
+      settings.endpoint = null;
+      settings.outbox = [];
+      writeSettings(settings);
+      lastError = null;
+      startPolling();
+      notifyStatus();
+    },
+  };
+}
@@ -0,0 +1,364 @@
+import { MIGRATION_ERROR_CORRUPT } from "./migrations.js";
+
+const DATABASE_NAME = "taskdoit";
+const DATABASE_VERSION = 1;
+const TASK_STORE = "tasks";
+const META_STORE = "meta";
+const META_STATE_KEY = "state";
+const META_BACKUPS_KEY = "backups";
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionToPromise(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = window.indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+    request.onupgradeneeded = () => {
+      const database = request.result;
+      if (!database.objectStoreNames.contains(TASK_STORE)) {
+        database.createObjectStore(TASK_STORE, { keyPath: "id" });
+      }
+      if (!database.objectStoreNames.contains(META_STORE)) {
+        database.createObjectStore(META_STORE);
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error("IndexedDB is blocked by another tab."));
+  });
+}
+
+// Unparseable text is still returned so the caller can set it aside instead of losing it.
+function readLocalStoragePayload(storageKey) {
+  const raw = window.localStorage.getItem(storageKey);
+  if (!raw) {
+    return null;
+  }
+
+  try {
+    return { payload: JSON.parse(raw), raw };
+  } catch {
+    return { payload: null, raw };
+  }
+}
+
+function getBackupStorageKey(storageKey) {
+  return `${storageKey}.backup`;
+}
+
+function splitPayload(payload) {
+  const { tasks, ...meta } = payload;
+  return { tasks: Array.isArray(tasks) ? tasks : [], meta };
+}
+
+function createLocalStorageBackend(storageKey, onSaved) {
+  return {
+    load() {
+      return readLocalStoragePayload(storageKey);
+    },
+    read() {
+      return readLocalStoragePayload(storageKey)?.payload || null;
+    },
+    save(payload) {
+      try {
+        window.localStorage.setItem(storageKey, JSON.stringify(payload));
+      } catch {
+        // Ignore persistence failures so the app remains usable.
+        return;
+      }
+      onSaved();
+    },
+    adopt() {},
+    loadBackups() {
+      const raw = window.localStorage.getItem(getBackupStorageKey(storageKey));
+      if (!raw) {
+        return [];
+      }
+
+      try {
+        const backups = JSON.parse(raw);
+        if (Array.isArray(backups)) {
+          return backups;
+        }
+      } catch {
+        // A damaged backup list is kept as one more backup rather than dropped.
+      }
+      return [{ savedAt: null, reason: MIGRATION_ERROR_CORRUPT, raw }];
+    },
+    saveBackups(backups) {
+      const backupKey = getBackupStorageKey(storageKey);
+      if (backups.length === 0) {
+        window.localStorage.removeItem(backupKey);
+        return;
+      }
+
+      window.localStorage.setItem(backupKey, JSON.stringify(backups));
+    },
+  };
+}
+
+// Stored tasks are replaced rather than edited in place, so an unchanged task is usually the same
+// object; only tasks that came from elsewhere, such as another tab, need to be compared by value.
+function isSameStoredTask(task, storedTask) {
+  return (
+    task === storedTask ||
+    (storedTask !== undefined && JSON.stringify(task) === JSON.stringify(storedTask))
+  );
+}
+
+function createIndexedDbBackend(database, legacyStorageKey, onSaved) {
+  // What the database holds as far as this tab knows; it only moves once a write has committed.
+  let storedTasks = new Map();
+  let storedMeta = null;
+  let pendingPayload = null;
+  let pendingLegacyCleanup = false;
+  let writeQueue = Promise.resolve();
+
+  function rememberSaved(payload) {
+    const { tasks, meta } = splitPayload(payload);
+    storedTasks = new Map(tasks.map((task) => [task.id, task]));
+    storedMeta = JSON.stringify(meta);
+  }
+
+  async function readStored() {
+    const transaction = database.transaction([TASK_STORE, META_STORE], "readonly");
+    const [tasks, meta] = await Promise.all([
+      requestToPromise(transaction.objectStore(TASK_STORE).getAll()),
+      requestToPromise(transaction.objectStore(META_STORE).get(META_STATE_KEY)),
+    ]);
+    return meta
+      ? { ...meta, tasks: tasks.sort((a, b) => (Number(a.order) || 0) - (Number(b.order) || 0)) }
+      : null;
+  }
+
+  async function load() {
+    const payload = await readStored();
+    if (!payload) {
+      // First run on IndexedDB: the old blob is handed over once and removed after the first write.
+      const legacyPayload = readLocalStoragePayload(legacyStorageKey);
+      pendingLegacyCleanup = legacyPayload !== null;
+      return legacyPayload;
+    }
+
+    rememberSaved(payload);
+    return { payload, raw: JSON.stringify(payload) };
+  }
+
+  // Only records that differ from what was last committed are written. A failed write leaves that
+  // baseline alone, so the next save writes the same records again.
+  async function writePending() {
+    const payload = pendingPayload;
+    pendingPayload = null;
+    const { tasks, meta } = splitPayload(payload);
+    const changedTasks = tasks.filter((task) => !isSameStoredTask(task, storedTasks.get(task.id)));
+    const taskIds = new Set(tasks.map((task) => task.id));
+    const removedTaskIds = Array.from(storedTasks.keys()).filter((id) => !taskIds.has(id));
+    const serializedMeta = JSON.stringify(meta);
+    const metaChanged = serializedMeta !== storedMeta;
+    if (changedTasks.length === 0 && removedTaskIds.length === 0 && !metaChanged) {
+      return;
+    }
+
+    const transaction = database.transaction([TASK_STORE, META_STORE], "readwrite");
+    const taskStore = transaction.objectStore(TASK_STORE);
+    changedTasks.forEach((task) => taskStore.put(task));
+    removedTaskIds.forEach((id) => taskStore.delete(id));
+    if (metaChanged) {
+      transaction.objectStore(META_STORE).put(meta, META_STATE_KEY);
+    }
+    await transactionToPromise(transaction);
+
+    storedTasks = new Map(tasks.map((task) => [task.id, task]));
+    storedMeta = serializedMeta;
+    if (pendingLegacyCleanup) {
+      pendingLegacyCleanup = false;
+      window.localStorage.removeItem(legacyStorageKey);
+    }
+    onSaved();
+  }
+
+  // Saves made while a write is running are folded into one follow-up write of the latest state.
+  function save(payload) {
+    const isWriteQueued = pendingPayload !== null;
+    pendingPayload = payload;
+    if (!isWriteQueued) {
+      writeQueue = writeQueue.then(writePending).catch(() => {
+        // Ignore persistence failures so the app remains usable.
+      });
+    }
+  }
+
+  async function loadBackups() {
+    const transaction = database.transaction(META_STORE, "readonly");
+    const backups = await requestToPromise(transaction.objectStore(META_STORE).get(META_BACKUPS_KEY));
+    return Array.isArray(backups) ? backups : [];
+  }
+
+  async function saveBackups(backups) {
+    const transaction = database.transaction(META_STORE, "readwrite");
+    const metaStore = transaction.objectStore(META_STORE);
+    if (backups.length === 0) {
+      metaStore.delete(META_BACKUPS_KEY);
+    } else {
+      metaStore.put(backups, META_BACKUPS_KEY);
+    }
+    await transactionToPromise(transaction);
+  }
+
+  return { load, read: readStored, save, adopt: rememberSaved, loadBackups, saveBackups };
+}
+
+async function openBackend(storageKey, onSaved) {
+  if (window.indexedDB) {
+    try {
+      return createIndexedDbBackend(await openDatabase(), storageKey, onSaved);
+    } catch {
+      // Private browsing modes can refuse IndexedDB; localStorage still works there.
+    }
+  }
+
+  return createLocalStorageBackend(storageKey, onSaved);
+}
+
+function getSyncChannelName(storageKey) {
+  return `${storageKey}.sync`;
+}
+
+const SAVED_MESSAGE = "saved";
+
+// Saving stays locked while stored data could not be read, set aside or migrated, so it is never overwritten.
+export function createStorage(storageKey) {
+  let backend = null;
+  let locked = false;
+  let channel = null;
+  let listener = null;
+  let readQueue = Promise.resolve();
+  // What this tab last wrote or received, used as the base when merging changes from another tab.
+  let syncBase = null;
+
+  // Other tabs are only told that something was saved; each reads the stored data itself, so a
+  // save never copies the whole workspace into a message.
+  function notifySaved() {
+    channel?.postMessage({ type: SAVED_MESSAGE });
+  }
+
+  function handleChannelMessage(event) {
+    if (event.data?.type !== SAVED_MESSAGE) {
+      return;
+    }
+
+    readQueue = readQueue
+      .then(() => backend.read())
+      .then(receive)
+      .catch(() => {
+        // The next save from that tab sends another notice.
+      });
+  }
+
+  function receive(payload) {
+    if (!payload || typeof payload !== "object" || locked) {
+      return;
+    }
+
+    const base = syncBase;
+    syncBase = payload;
+    backend.adopt(payload);
+    listener?.(payload, base);
+  }
+
+  function handleStorageEvent(event) {
+    if (event.key !== storageKey || !event.newValue) {
+      return;
+    }
+
+    try {
+      receive(JSON.parse(event.newValue));
+    } catch {
+      // A half-written value from another tab is picked up again on its next save.
+    }
+  }
+
+  return {
+    async load() {
+      backend = await openBackend(storageKey, notifySaved);
+      try {
+        const stored = await backend.load();
+        syncBase = stored?.payload || null;
+        return stored;
+      } catch {
+        locked = true;
+        return { payload: null, raw: null };
+      }
+    },
+    subscribe(nextListener) {
+      listener = nextListener;
+      if (typeof window.BroadcastChannel === "function") {
+        channel = new window.BroadcastChannel(getSyncChannelName(storageKey));
+        channel.addEventListener("message", handleChannelMessage);
+        return;
+      }
+
+      // Without BroadcastChannel only the localStorage backend can tell tabs apart by storage events.
+      window.addEventListener("storage", handleStorageEvent);
+    },
+    save(payload) {
+      if (backend && !locked) {
+        // Records are replaced rather than edited in place, so copying the lists detaches the snapshot.
+        const snapshot = {
+          ...payload,
+          tasks: [...payload.tasks],
+          templates: [...payload.templates],
+          projects: [...payload.projects],
+        };
+        syncBase = snapshot;
+        backend.save(snapshot);
+      }
+    },
+    isLocked() {
+      return locked;
+    },
+    async loadBackups() {
+      try {
+        return await backend.loadBackups();
+      } catch {
+        return [];
+      }
+    },
+    async quarantine(backup) {
+      try {
+        const backups = await backend.loadBackups();
+        await backend.saveBackups([...backups, backup]);
+        return true;
+      } catch {
+        locked = true;
+        return false;
+      }
+    },
+    async clearBackups() {
+      try {
+        await backend.saveBackups([]);
+        return true;
+      } catch {
+        return false;
+      }
+    },
+    lock() {
+      locked = true;
+    },
+    unlock() {
+      locked = false;
+    },
+  };
+}
@@ -0,0 +1,60 @@
+function serialize(value) {
+  return JSON.stringify(value);
+}
+
+// Three-way merge keyed by id: whichever side changed a record since the shared base wins,
+// the incoming side wins when both did, and a deletion on either side sticks.
+function mergeRecords(baseItems, localItems, incomingItems, getKey) {
+  const base = new Map(baseItems.map((item) => [getKey(item), serialize(item)]));
+  const local = new Map(localItems.map((item) => [getKey(item), item]));
+  const incomingKeys = new Set(incomingItems.map(getKey));
+  const merged = [];
+
+  incomingItems.forEach((item) => {
+    const key = getKey(item);
+    if (!local.has(key)) {
+      if (!base.has(key)) {
+        merged.push(item);
+      }
+      return;
+    }
+
+    const localItem = local.get(key);
+    const localChanged = serialize(localItem) !== base.get(key);
+    const incomingChanged = serialize(item) !== base.get(key);
+    merged.push(localChanged && !incomingChanged ? localItem : item);
+  });
+
+  localItems.forEach((item) => {
+    const key = getKey(item);
+    if (!incomingKeys.has(key) && !base.has(key)) {
+      merged.push(item);
+    }
+  });
+
+  return merged;
+}
+
+function getIdKey(item) {
+  return item.id;
+}
+
+function getTemplateKey(templateName) {
+  return templateName.toLocaleLowerCase();
+}
+
+export function mergeWorkspaces(base, local, incoming) {
+  return {
+    tasks: mergeRecords(base.tasks, local.tasks, incoming.tasks, getIdKey),
+    templates: mergeRecords(base.templates, local.templates, incoming.templates, getTemplateKey),
+    projects: mergeRecords(base.projects, local.projects, incoming.projects, getIdKey),
+  };
+}
+
+export function isSameWorkspace(a, b) {
+  return (
+    serialize(a.tasks) === serialize(b.tasks) &&
+    serialize(a.templates) === serialize(b.templates) &&
+    serialize(a.projects) === serialize(b.projects)
+  );
+}
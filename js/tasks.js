@@ -1,3 +1,6 @@
+import { describeRecurrence } from "./recurrence.js";
+import { describeReminders, getDueMoment, sanitizeDueTime, sanitizeReminders } from "./reminders.js";
+
 function createTaskId() {
   if (window.crypto && typeof window.crypto.randomUUID === "function") {
     return window.crypto.randomUUID();
@@ -6,6 +9,14 @@ function createTaskId() {
   return `task-${Date.now()}-${Math.random().toString(16).slice(2)}`;
 }
 
+function createSubtaskId() {
+  if (window.crypto && typeof window.crypto.randomUUID === "function") {
+    return `subtask-${window.crypto.randomUUID()}`;
+  }
+
+  return `subtask-${Date.now()}-${Math.random().toString(16).slice(2)}`;
+}
+
 function normalizeDueDate(dueDate) {
   if (typeof dueDate !== "string") {
     return null;
@@ -32,11 +43,17 @@ function normalizeDueDate(dueDate) {
   return `${String(year).padStart(4, "0")}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
 }
 
+const RESCHEDULE_OPTIONS = [
+  ["Today", 0],
+  ["Tomorrow", 1],
+  ["Next week", 7],
+];
+
 function toIsoDateFromLocalDate(date) {
   return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
 }
 
-function normalizeCompletedDate(completedAt) {
+export function normalizeCompletedDate(completedAt) {
   if (typeof completedAt !== "string" || completedAt.trim().length === 0) {
     return null;
   }
@@ -59,15 +76,17 @@ function formatIsoDateForLabel(isoDate) {
   return `${day}/${month}/${year}`;
 }
 
-function formatDueDateForLabel(dueDate) {
-  return formatIsoDateForLabel(dueDate);
+function formatDueDateForLabel(dueDate, dueTime) {
+  const dateLabel = formatIsoDateForLabel(dueDate);
+  const timeLabel = sanitizeDueTime(dueTime);
+  return dateLabel && timeLabel ? `${dateLabel} ${timeLabel}` : dateLabel;
 }
 
 function formatCompletedDateForLabel(completedAt) {
   return formatIsoDateForLabel(normalizeCompletedDate(completedAt));
 }
 
-function getCompletionStatus(dueDate, completedAt) {
+export function getCompletionStatus(dueDate, completedAt) {
   const normalizedDueDate = normalizeDueDate(dueDate);
   const normalizedCompletedDate = normalizeCompletedDate(completedAt);
   if (!normalizedDueDate || !normalizedCompletedDate) {
@@ -77,7 +96,7 @@ function getCompletionStatus(dueDate, completedAt) {
   return normalizedCompletedDate <= normalizedDueDate ? "on-time" : "late";
 }
 
-function isTaskOverdue(task) {
+export function isTaskOverdue(task) {
   if (!task || task.completed) {
     return false;
   }
@@ -87,28 +106,99 @@ function isTaskOverdue(task) {
     return false;
   }
 
+  // With a due time the task is overdue from that minute, not from the next day.
+  const dueMoment = getDueMoment(normalizedDueDate, task.dueTime);
+  if (dueMoment) {
+    return dueMoment.getTime() < Date.now();
+  }
+
   const todayIsoDate = toIsoDateFromLocalDate(new Date());
   return normalizedDueDate < todayIsoDate;
 }
 
-export function createTask(contentHtml, template = null, dueDate = null) {
+export function createSubtask(text) {
+  return {
+    id: createSubtaskId(),
+    text,
+    completed: false,
+    completedAt: null,
+  };
+}
+
+export function getSubtaskProgress(task) {
+  const subtasks = Array.isArray(task?.subtasks) ? task.subtasks : [];
+  return {
+    done: subtasks.filter((subtask) => subtask.completed).length,
+    total: subtasks.length,
+  };
+}
+
+export function createTask(
+  contentHtml,
+  {
+    template = null,
+    dueDate = null,
+    dueTime = null,
+    reminders = [],
+    projectId = null,
+    recurrence = null,
+    priority = null,
+    order = 0,
+  } = {}
+) {
   const normalizedTemplate =
     typeof template === "string" && template.trim().length > 0 ? template.trim() : null;
   const normalizedDueDate = normalizeDueDate(dueDate);
+  const normalizedDueTime = normalizedDueDate ? sanitizeDueTime(dueTime) : null;
 
   return {
     id: createTaskId(),
     contentHtml,
     template: normalizedTemplate,
     dueDate: normalizedDueDate,
+    dueTime: normalizedDueTime,
+    reminders: normalizedDueTime ? sanitizeReminders(reminders) : [],
     createdAt: new Date().toISOString(),
     completed: false,
     completedAt: null,
     sourceType: "manual",
-    projectId: null,
+    projectId: typeof projectId === "string" ? projectId : null,
+    subtasks: [],
+    autoComplete: false,
+    recurrence,
+    priority,
+    order,
+    rescheduleCount: 0,
+    nextOccurrenceId: null,
   };
 }
 
+function createRescheduleActions() {
+  const actions = document.createElement("div");
+  actions.className = "task-reschedule";
+  actions.setAttribute("role", "group");
+  actions.setAttribute("aria-label", "Reschedule");
+
+  RESCHEDULE_OPTIONS.forEach(([label, days]) => {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "task-reschedule-button";
+    button.dataset.action = "reschedule-task";
+    button.dataset.rescheduleDays = String(days);
+    button.setAttribute("aria-label", `Reschedule to ${label.toLowerCase()}`);
+    button.textContent = label;
+    actions.append(button);
+  });
+
+  const dateInput = document.createElement("input");
+  dateInput.type = "date";
+  dateInput.className = "task-reschedule-input";
+  dateInput.setAttribute("aria-label", "Reschedule to a date");
+  dateInput.title = "Pick a date";
+  actions.append(dateInput);
+  return actions;
+}
+
 function renderEmptyState(container, emptyState) {
   const title = emptyState?.title || "No tasks yet";
   const copy = typeof emptyState?.copy === "string" ? emptyState.copy : "";
@@ -128,9 +218,165 @@ function renderEmptyState(container, emptyState) {
   container.append(article);
 }
 
-function createTaskElement(task) {
+function createTaskEditElement(task, editingTask) {
+  const article = document.createElement("article");
+  article.className = "task-item is-editing";
+  article.dataset.taskId = task.id;
+
+  const controls = document.createElement("div");
+  controls.className = "format-toolbar task-edit-toolbar";
+  controls.dataset.editControls = "";
+  controls.setAttribute("role", "group");
+  controls.setAttribute("aria-label", "Task edit controls");
+
+  const editor = document.createElement("div");
+  editor.className = "editor task-edit-editor";
+  editor.contentEditable = "true";
+  editor.setAttribute("role", "textbox");
+  editor.setAttribute("aria-multiline", "true");
+  editor.setAttribute("aria-label", "Edit task");
+  editor.dataset.placeholder = "Type the task and hit enter to save...";
+  editor.innerHTML = editingTask.html;
+
+  const checklist = document.createElement("div");
+  checklist.className = "task-edit-subtasks";
+
+  const subtaskList = document.createElement("ul");
+  subtaskList.className = "task-edit-subtask-list";
+  editingTask.subtasks.forEach((subtask, index) => {
+    const item = document.createElement("li");
+    item.className = "task-edit-subtask";
+    item.classList.toggle("is-complete", subtask.completed);
+
+    const input = document.createElement("input");
+    input.type = "text";
+    input.className = "task-edit-subtask-input";
+    input.maxLength = 200;
+    input.autocomplete = "off";
+    input.value = subtask.text;
+    input.dataset.subtaskId = subtask.id;
+    input.setAttribute("aria-label", `Checklist item ${index + 1}`);
+
+    const removeButton = document.createElement("button");
+    removeButton.type = "button";
+    removeButton.className = "template-delete";
+    removeButton.dataset.action = "remove-subtask";
+    removeButton.dataset.subtaskId = subtask.id;
+    removeButton.setAttribute("aria-label", `Remove checklist item ${index + 1}`);
+    removeButton.textContent = "×";
+
+    item.append(input, removeButton);
+    subtaskList.append(item);
+  });
+
+  const newSubtaskInput = document.createElement("input");
+  newSubtaskInput.type = "text";
+  newSubtaskInput.className = "template-add-input task-edit-subtask-new";
+  newSubtaskInput.maxLength = 200;
+  newSubtaskInput.autocomplete = "off";
+  newSubtaskInput.placeholder = "Add checklist item and press Enter";
+  newSubtaskInput.value = editingTask.newSubtaskText || "";
+  newSubtaskInput.setAttribute("aria-label", "New checklist item");
+
+  const autoCompleteLabel = document.createElement("label");
+  autoCompleteLabel.className = "task-edit-auto-complete";
+  const autoCompleteInput = document.createElement("input");
+  autoCompleteInput.type = "checkbox";
+  autoCompleteInput.className = "task-edit-auto-complete-input";
+  autoCompleteInput.checked = editingTask.autoComplete;
+  autoCompleteLabel.append(autoCompleteInput, " Complete task when all items are done");
+
+  checklist.append(subtaskList, newSubtaskInput, autoCompleteLabel);
+
+  const actions = document.createElement("div");
+  actions.className = "task-edit-actions";
+
+  const cancelButton = document.createElement("button");
+  cancelButton.type = "button";
+  cancelButton.className = "task-edit-button";
+  cancelButton.dataset.action = "cancel-task-edit";
+  cancelButton.textContent = "Cancel";
+
+  const saveButton = document.createElement("button");
+  saveButton.type = "button";
+  saveButton.className = "task-edit-button is-primary";
+  saveButton.dataset.action = "save-task-edit";
+  saveButton.textContent = "Save";
+
+  actions.append(cancelButton, saveButton);
+  article.append(controls, editor, checklist, actions);
+  return article;
+}
+
+function findSearchMatchRanges(text, searchTerms) {
+  const haystack = text.toLowerCase();
+  const ranges = [];
+  searchTerms.forEach((term) => {
+    let index = haystack.indexOf(term);
+    while (index !== -1) {
+      ranges.push([index, index + term.length]);
+      index = haystack.indexOf(term, index + term.length);
+    }
+  });
+
+  ranges.sort((a, b) => a[0] - b[0]);
+  return ranges.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push([...range]);
+    }
+    return merged;
+  }, []);
+}
+
+function highlightSearchTerms(element, searchTerms) {
+  if (!Array.isArray(searchTerms) || searchTerms.length === 0) {
+    return;
+  }
+
+  // Only text nodes are wrapped, so the sanitized formatting tags stay intact.
+  const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+  const textNodes = [];
+  while (walker.nextNode()) {
+    textNodes.push(walker.currentNode);
+  }
+
+  textNodes.forEach((textNode) => {
+    const text = textNode.nodeValue;
+    const ranges = findSearchMatchRanges(text.replace(/\u00a0/g, " "), searchTerms);
+    if (ranges.length === 0) {
+      return;
+    }
+
+    const fragment = document.createDocumentFragment();
+    let cursor = 0;
+    ranges.forEach(([start, end]) => {
+      if (start > cursor) {
+        fragment.append(text.slice(cursor, start));
+      }
+      const mark = document.createElement("mark");
+      mark.className = "task-search-match";
+      mark.textContent = text.slice(start, end);
+      fragment.append(mark);
+      cursor = end;
+    });
+    if (cursor < text.length) {
+      fragment.append(text.slice(cursor));
+    }
+    textNode.replaceWith(fragment);
+  });
+}
+
+function createTaskElement(task, options = {}) {
+  if (options.editingTask && options.editingTask.taskId === task.id) {
+    return createTaskEditElement(task, options.editingTask);
+  }
+
   const article = document.createElement("article");
   article.className = "task-item";
+  article.tabIndex = 0;
   if (task.completed) {
     article.classList.add("is-complete");
     const completionStatus = getCompletionStatus(task.dueDate, task.completedAt);
@@ -140,9 +386,13 @@ function createTaskElement(task) {
       article.classList.add("is-late");
     }
   }
-  if (isTaskOverdue(task)) {
+  const isOverdue = isTaskOverdue(task);
+  if (isOverdue) {
     article.classList.add("is-overdue");
   }
+  if (task.priority) {
+    article.dataset.priority = String(task.priority);
+  }
   article.dataset.taskId = task.id;
 
   const row = document.createElement("div");
@@ -165,26 +415,123 @@ function createTaskElement(task) {
     content.dataset.template = task.template.trim();
   }
   content.innerHTML = task.contentHtml;
+  highlightSearchTerms(content, options.searchTerms);
 
   const body = document.createElement("div");
   body.className = "task-item-body";
   body.append(content);
 
-  const dueDateLabel = formatDueDateForLabel(task.dueDate);
+  if (Array.isArray(task.subtasks) && task.subtasks.length > 0) {
+    const subtaskList = document.createElement("ul");
+    subtaskList.className = "task-subtasks";
+    task.subtasks.forEach((subtask) => {
+      const item = document.createElement("li");
+      item.className = "task-subtask";
+      item.classList.toggle("is-complete", subtask.completed);
+
+      const subtaskToggle = document.createElement("button");
+      subtaskToggle.type = "button";
+      subtaskToggle.className = "task-subtask-toggle";
+      subtaskToggle.dataset.action = "toggle-subtask";
+      subtaskToggle.dataset.subtaskId = subtask.id;
+      subtaskToggle.setAttribute("aria-pressed", String(subtask.completed));
+      subtaskToggle.setAttribute(
+        "aria-label",
+        subtask.completed ? `Mark ${subtask.text} as not done` : `Mark ${subtask.text} as done`
+      );
+      subtaskToggle.textContent = subtask.completed ? "✓" : "";
+
+      const text = document.createElement("span");
+      text.className = "task-subtask-text";
+      text.textContent = subtask.text;
+
+      item.append(subtaskToggle, text);
+      subtaskList.append(item);
+    });
+    body.append(subtaskList);
+  }
+
+  const projectName = task.projectId && options.projectNames?.get(task.projectId);
+  if (projectName) {
+    const project = document.createElement("p");
+    project.className = "task-item-project";
+    project.textContent = projectName;
+    body.append(project);
+  }
+
+  const dueDateLabel = formatDueDateForLabel(task.dueDate, task.dueTime);
   const completedDateLabel = task.completed ? formatCompletedDateForLabel(task.completedAt) : "";
   if (completedDateLabel && !dueDateLabel) {
     article.classList.add("is-no-due-date");
   }
-  if (dueDateLabel || completedDateLabel) {
+  const progress = getSubtaskProgress(task);
+  const recurrenceLabel = describeRecurrence(task.recurrence);
+  const reminderLabel = task.completed ? "" : describeReminders(task.reminders || []);
+  const rescheduleCount = task.completed ? 0 : task.rescheduleCount || 0;
+  const hasMetaRow = Boolean(
+    dueDateLabel || progress.total > 0 || recurrenceLabel || task.priority || rescheduleCount
+  );
+  if (hasMetaRow || completedDateLabel) {
     body.classList.add("has-meta");
     const meta = document.createElement("div");
     meta.className = "task-item-meta";
 
-    if (dueDateLabel) {
-      const dueDate = document.createElement("p");
-      dueDate.className = "task-item-date-badge task-item-due-date";
-      dueDate.textContent = `Due ${dueDateLabel}`;
-      meta.append(dueDate);
+    if (hasMetaRow) {
+      const dueRow = document.createElement("div");
+      dueRow.className = "task-item-meta-row";
+
+      if (task.priority) {
+        const priorityBadge = document.createElement("p");
+        priorityBadge.className = "task-item-progress task-item-priority";
+        priorityBadge.textContent = `P${task.priority}`;
+        priorityBadge.setAttribute("aria-label", `Priority ${task.priority}`);
+        dueRow.append(priorityBadge);
+      }
+
+      if (recurrenceLabel) {
+        const repeatBadge = document.createElement("p");
+        repeatBadge.className = "task-item-progress task-item-repeat";
+        repeatBadge.textContent = `⟳ ${recurrenceLabel}`;
+        repeatBadge.title = `Repeats: ${recurrenceLabel}`;
+        dueRow.append(repeatBadge);
+      }
+
+      if (reminderLabel) {
+        const reminderBadge = document.createElement("p");
+        reminderBadge.className = "task-item-progress task-item-reminder";
+        reminderBadge.textContent = `⏰ ${reminderLabel}`;
+        reminderBadge.title = `Reminder: ${reminderLabel}`;
+        dueRow.append(reminderBadge);
+      }
+
+      if (progress.total > 0) {
+        const progressBadge = document.createElement("p");
+        progressBadge.className = "task-item-progress";
+        progressBadge.classList.toggle("is-done", progress.done === progress.total);
+        progressBadge.textContent = `${progress.done}/${progress.total}`;
+        progressBadge.setAttribute(
+          "aria-label",
+          `${progress.done} of ${progress.total} checklist items done`
+        );
+        dueRow.append(progressBadge);
+      }
+
+      if (rescheduleCount > 0) {
+        const pushedBadge = document.createElement("p");
+        pushedBadge.className = "task-item-progress task-item-pushed";
+        pushedBadge.textContent = `Pushed ${rescheduleCount}×`;
+        pushedBadge.title = `Rescheduled to a later date ${rescheduleCount} ${rescheduleCount === 1 ? "time" : "times"}`;
+        dueRow.append(pushedBadge);
+      }
+
+      if (dueDateLabel) {
+        const dueDate = document.createElement("p");
+        dueDate.className = "task-item-date-badge task-item-due-date";
+        dueDate.textContent = `Due ${dueDateLabel}`;
+        dueRow.append(dueDate);
+      }
+
+      meta.append(dueRow);
     }
 
     if (completedDateLabel) {
@@ -197,6 +544,10 @@ function createTaskElement(task) {
     body.append(meta);
   }
 
+  if (isOverdue) {
+    body.append(createRescheduleActions());
+  }
+
   const deleteButton = document.createElement("button");
   deleteButton.type = "button";
   deleteButton.className = "task-delete";
@@ -204,6 +555,31 @@ function createTaskElement(task) {
   deleteButton.setAttribute("aria-label", "Delete task");
   deleteButton.textContent = "×";
 
+  if (options.selectedTaskIds) {
+    const isSelected = options.selectedTaskIds.has(task.id);
+    article.classList.toggle("is-selected", isSelected);
+    const selectBox = document.createElement("input");
+    selectBox.type = "checkbox";
+    selectBox.className = "task-select";
+    selectBox.dataset.action = "select-task";
+    selectBox.checked = isSelected;
+    selectBox.setAttribute("aria-label", "Select task");
+    row.classList.add("is-selectable");
+    row.append(selectBox);
+  }
+
+  if (options.reorderable) {
+    const dragHandle = document.createElement("button");
+    dragHandle.type = "button";
+    dragHandle.className = "task-drag-handle";
+    dragHandle.dataset.action = "drag-task";
+    dragHandle.tabIndex = -1;
+    dragHandle.setAttribute("aria-label", "Drag to reorder. Alt+Up or Alt+Down moves the task");
+    dragHandle.textContent = "⋮⋮";
+    row.classList.add("is-reorderable");
+    row.append(dragHandle);
+  }
+
   row.append(toggleButton, body, deleteButton);
   article.append(row);
   return article;
@@ -218,8 +594,17 @@ export function renderTasks(container, tasks, options = {}) {
   }
 
   const fragment = document.createDocumentFragment();
+  let groupLabel = null;
   tasks.forEach((task) => {
-    fragment.appendChild(createTaskElement(task));
+    const taskGroupLabel = options.getGroupLabel ? options.getGroupLabel(task) : null;
+    if (taskGroupLabel && taskGroupLabel !== groupLabel) {
+      const header = document.createElement("h2");
+      header.className = "task-group-header";
+      header.textContent = taskGroupLabel;
+      fragment.appendChild(header);
+      groupLabel = taskGroupLabel;
+    }
+    fragment.appendChild(createTaskElement(task, options));
   });
   container.appendChild(fragment);
 }
@@ -0,0 +1,132 @@
+import { getTextFromHTML } from "./editor.js";
+import { normalizeCompletedDate } from "./tasks.js";
+
+const PRIORITY_LETTERS = ["A", "B", "C", "D"];
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const COMPLETED_PATTERN = /^x (\d{4}-\d{2}-\d{2} )?(\d{4}-\d{2}-\d{2} )?/;
+const PRIORITY_PATTERN = /^\(([A-Z])\) /;
+const CREATED_PATTERN = /^(\d{4}-\d{2}-\d{2}) /;
+
+// Tags cannot hold spaces, so they are written as "_" and a real underscore is doubled.
+function toTagName(name) {
+  return name.trim().replace(/_/g, "__").replace(/\s+/g, "_");
+}
+
+function fromTagName(tag) {
+  return tag.replace(/__?/g, (underscores) => (underscores === "__" ? "_" : " ")).trim();
+}
+
+function getPriorityLetter(priority) {
+  return PRIORITY_LETTERS[priority - 1] || null;
+}
+
+function getPriorityFromLetter(letter) {
+  const index = PRIORITY_LETTERS.indexOf(letter);
+  return index === -1 ? null : index + 1;
+}
+
+function createTodoLine(task, projectNames) {
+  const parts = [];
+  const createdDate = normalizeCompletedDate(task.createdAt);
+  if (task.completed) {
+    parts.push("x");
+    const completedDate = normalizeCompletedDate(task.completedAt);
+    if (completedDate) {
+      parts.push(completedDate);
+    }
+  } else if (task.priority) {
+    parts.push(`(${getPriorityLetter(task.priority)})`);
+  }
+  if (createdDate && (!task.completed || normalizeCompletedDate(task.completedAt))) {
+    parts.push(createdDate);
+  }
+
+  parts.push(getTextFromHTML(task.contentHtml).replace(/\s+/g, " "));
+  const projectName = task.projectId ? projectNames.get(task.projectId) : null;
+  if (projectName) {
+    parts.push(`+${toTagName(projectName)}`);
+  }
+  if (task.template) {
+    parts.push(`@${toTagName(task.template)}`);
+  }
+  if (task.dueDate) {
+    parts.push(`due:${task.dueDate}`);
+  }
+  // todo.txt drops the priority on completion, so it moves to a pri: tag instead.
+  if (task.completed && task.priority) {
+    parts.push(`pri:${getPriorityLetter(task.priority)}`);
+  }
+  return parts.join(" ");
+}
+
+export function buildTodoTxt(tasks, projectNames) {
+  return `${tasks.map((task) => createTodoLine(task, projectNames)).join("\n")}\n`;
+}
+
+function parseTodoLine(line) {
+  let rest = line.trim();
+  const entry = {
+    text: "",
+    priority: null,
+    dueDate: null,
+    completed: false,
+    completedAt: null,
+    createdAt: null,
+    projectName: null,
+    template: null,
+  };
+
+  const completedMatch = rest.match(COMPLETED_PATTERN);
+  if (completedMatch) {
+    entry.completed = true;
+    entry.completedAt = completedMatch[1] ? `${completedMatch[1].trim()}T12:00:00` : null;
+    entry.createdAt = completedMatch[2] ? `${completedMatch[2].trim()}T12:00:00` : null;
+    rest = rest.slice(completedMatch[0].length);
+  }
+
+  const priorityMatch = rest.match(PRIORITY_PATTERN);
+  if (priorityMatch) {
+    entry.priority = getPriorityFromLetter(priorityMatch[1]);
+    rest = rest.slice(priorityMatch[0].length);
+  }
+
+  const createdMatch = !entry.completed && rest.match(CREATED_PATTERN);
+  if (createdMatch) {
+    entry.createdAt = `${createdMatch[1]}T12:00:00`;
+    rest = rest.slice(createdMatch[0].length);
+  }
+
+  const words = rest.split(/\s+/).filter((word) => {
+    if (word.length > 1 && word.startsWith("+")) {
+      entry.projectName = entry.projectName || fromTagName(word.slice(1));
+      return false;
+    }
+
+    if (word.length > 1 && word.startsWith("@")) {
+      entry.template = entry.template || fromTagName(word.slice(1));
+      return false;
+    }
+
+    const [key, value] = word.split(/:(.*)/s);
+    if (key === "due" && ISO_DATE_PATTERN.test(value)) {
+      entry.dueDate = value;
+      return false;
+    }
+
+    if (key === "pri" && /^[A-Z]$/.test(value)) {
+      entry.priority = entry.priority || getPriorityFromLetter(value);
+      return false;
+    }
+
+    return true;
+  });
+  entry.text = words.join(" ").trim();
+  return entry;
+}
+
+export function parseTodoTxt(text) {
+  return text
+    .split(/\r?\n/)
+    .filter((line) => line.trim().length > 0)
+    .map(parseTodoLine);
+}
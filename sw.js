@@ -0,0 +1,128 @@
+// Bump on every release so installed copies download the new files and offer to reload.
+const CACHE_VERSION = 23;
+const CACHE_PREFIX = "taskdoit-";
+const CACHE_NAME = `${CACHE_PREFIX}v${CACHE_VERSION}`;
+const SKIP_WAITING_MESSAGE = "skip-waiting";
+const APP_SHELL_URL = "index.html";
+const REMINDER_MESSAGE_TYPE = "taskdoit-reminder";
+const SNOOZE_ACTION = "snooze";
+// Kept apart from the versioned app cache so a release does not drop snoozes the app has not read.
+const SNOOZE_CACHE_NAME = "taskdoit-snoozed-reminders";
+const PRECACHE_URLS = [
+  "./",
+  APP_SHELL_URL,
+  "manifest.webmanifest",
+  "favicon.svg",
+  "css/styles.css",
+  "fonts/space-mono-400.woff2",
+  "fonts/space-mono-700.woff2",
+  "js/app.js",
+  "js/calendar.js",
+  "js/commands.js",
+  "js/editor.js",
+  "js/history.js",
+  "js/ical.js",
+  "js/markdown.js",
+  "js/migrations.js",
+  "js/projects.js",
+  "js/pwa.js",
+  "js/quickadd.js",
+  "js/recurrence.js",
+  "js/reminders.js",
+  "js/reports.js",
+  "js/serversync.js",
+  "js/storage.js",
+  "js/sync.js",
+  "js/tasks.js",
+  "js/todotxt.js",
+];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(caches.open(CACHE_NAME).then((cache) => cache.addAll(PRECACHE_URLS)));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter(
+              (key) => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME && key !== SNOOZE_CACHE_NAME
+            )
+            .map((key) => caches.delete(key))
+        )
+      )
+  );
+});
+
+// A new worker waits until the page asks for it, so an open tab never mixes old and new files.
+self.addEventListener("message", (event) => {
+  if (event.data && event.data.type === SKIP_WAITING_MESSAGE) {
+    self.skipWaiting();
+  }
+});
+
+async function saveSnooze(taskId, snoozedAt) {
+  const cache = await caches.open(SNOOZE_CACHE_NAME);
+  await cache.put(
+    `snoozed-reminders/${encodeURIComponent(taskId)}`,
+    new Response(JSON.stringify({ taskId, snoozedAt }), {
+      headers: { "Content-Type": "application/json" },
+    })
+  );
+}
+
+async function handleReminderClick(notification, action) {
+  const { taskId } = notification.data;
+  const windows = await self.clients.matchAll({ type: "window", includeUncontrolled: true });
+
+  if (action === SNOOZE_ACTION) {
+    const snoozedAt = Date.now();
+    if (windows.length > 0) {
+      windows.forEach((client) => client.postMessage({ type: "snooze-reminder", taskId, snoozedAt }));
+      return;
+    }
+
+    // The browser stops an idle worker long before a snooze runs out, so with no tab open the
+    // snooze is stored for the app to schedule the next time it starts.
+    await saveSnooze(taskId, snoozedAt);
+    return;
+  }
+
+  const client = windows[0];
+  if (client) {
+    await client.focus();
+    client.postMessage({ type: "open-task", taskId });
+    return;
+  }
+
+  await self.clients.openWindow(`./?task=${encodeURIComponent(taskId)}`);
+}
+
+self.addEventListener("notificationclick", (event) => {
+  const { notification } = event;
+  if (!notification.data || notification.data.type !== REMINDER_MESSAGE_TYPE) {
+    return;
+  }
+
+  notification.close();
+  event.waitUntil(handleReminderClick(notification, event.action));
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET" || new URL(request.url).origin !== self.location.origin) {
+    return;
+  }
+
+  if (request.mode === "navigate") {
+    event.respondWith(
+      caches.match(APP_SHELL_URL).then((response) => response || fetch(request))
+    );
+    return;
+  }
+
+  event.respondWith(caches.match(request).then((response) => response || fetch(request)));
+});